@@ -5,16 +5,26 @@
  *
  * Usage:
  *   mrmd-server [options] [project-dir]
+ *   mrmd-server token <list|create|revoke|rotate> [options]
+ *   mrmd-server run <document.md> [--fail-fast] [options]
  *
  * Options:
  *   -p, --port <port>     HTTP port (default: 8080)
  *   -h, --host <host>     Bind host (default: 0.0.0.0)
  *   -t, --token <token>   Auth token (auto-generated if not provided)
  *   --no-auth             Disable authentication (dangerous!)
+ *   --allow-root <dir>    Allow file access under <dir> (repeatable)
+ *   --allow-port <port>   Allow /proxy and /sync to reach <port> (repeatable)
+ *   --rate-limit <n>      Requests per token per minute (0 disables)
+ *   --idle-timeout <spec> Stop idle runtimes: 30m, python=2h, off (repeatable)
+ *   --metrics-interval <s> Broadcast runtime:metrics every <s> seconds
+ *   --trust-proxy         Take client IPs from X-Forwarded-For
+ *   --tls-cert <file>     Serve HTTPS/WSS with this PEM certificate
+ *   --tls-key <file>      Private key for --tls-cert
+ *   --tls-self-signed     Serve HTTPS/WSS with a generated self-signed certificate
  *   --help                Show help
  */
 
-import { createServer } from '../src/server.js';
 import { spawn } from 'child_process';
 import path from 'path';
 import fs from 'fs/promises';
@@ -25,6 +35,15 @@ function parseArgs(args) {
     host: '0.0.0.0',
     token: undefined,
     noAuth: false,
+    allowedRoots: [],
+    allowedPorts: [],
+    rateLimit: undefined,
+    idleTimeouts: [],
+    metricsInterval: undefined,
+    trustProxy: undefined,
+    tlsCert: undefined,
+    tlsKey: undefined,
+    tlsSelfSigned: false,
     projectDir: '.',
   };
 
@@ -39,6 +58,38 @@ function parseArgs(args) {
       options.token = args[++i];
     } else if (arg === '--no-auth') {
       options.noAuth = true;
+    } else if (arg === '--allow-root') {
+      options.allowedRoots.push(path.resolve(args[++i]));
+    } else if (arg === '--allow-port') {
+      const allowedPort = parseInt(args[++i], 10);
+      if (!(allowedPort > 0 && allowedPort < 65536)) {
+        console.error(`Error: invalid --allow-port value: ${args[i]}`);
+        process.exit(1);
+      }
+      options.allowedPorts.push(allowedPort);
+    } else if (arg === '--rate-limit') {
+      if (!/^\d+$/.test(args[++i] || '')) {
+        console.error(`Error: invalid --rate-limit value: ${args[i]}`);
+        process.exit(1);
+      }
+      options.rateLimit = parseInt(args[i], 10);
+    } else if (arg === '--idle-timeout') {
+      options.idleTimeouts.push(args[++i]);
+    } else if (arg === '--metrics-interval') {
+      const seconds = parseInt(args[++i], 10);
+      if (!(seconds >= 0)) {
+        console.error(`Error: invalid --metrics-interval value: ${args[i]}`);
+        process.exit(1);
+      }
+      options.metricsInterval = seconds * 1000;
+    } else if (arg === '--trust-proxy') {
+      options.trustProxy = true;
+    } else if (arg === '--tls-cert') {
+      options.tlsCert = path.resolve(args[++i]);
+    } else if (arg === '--tls-key') {
+      options.tlsKey = path.resolve(args[++i]);
+    } else if (arg === '--tls-self-signed') {
+      options.tlsSelfSigned = true;
     } else if (arg === '--help') {
       printHelp();
       process.exit(0);
@@ -62,6 +113,22 @@ Options:
   -h, --host <host>     Bind host (default: 0.0.0.0)
   -t, --token <token>   Auth token (auto-generated if not provided)
   --no-auth             Disable authentication (DANGEROUS - local dev only)
+  --allow-root <dir>    Allow file access under <dir> (repeatable;
+                        default: the project directory)
+  --allow-port <port>   Let /proxy and /sync forward to a local port that
+                        isn't one of mrmd's own services (repeatable)
+  --rate-limit <n>      Requests per token per minute (default: 1200, 0 disables)
+  --idle-timeout <spec> Stop runtimes unused for this long (default: off;
+                        repeatable): 1h, python=2h, bash=off, or off
+  --metrics-interval <s>
+                        Broadcast runtime:metrics events every <s> seconds
+                        (default: off)
+  --trust-proxy         Behind a reverse proxy: use X-Forwarded-For for
+                        client IPs (failed-login lockouts are per IP)
+  --tls-cert <file>     Serve HTTPS/WSS with this PEM certificate
+  --tls-key <file>      Private key for --tls-cert
+  --tls-self-signed     Serve HTTPS/WSS with a self-signed certificate,
+                        generated once and cached in the config directory
   --help                Show this help
 
 Examples:
@@ -69,17 +136,299 @@ Examples:
   mrmd-server ./my-project            Start in specific directory
   mrmd-server -p 3000 ./notebooks     Custom port
   mrmd-server --no-auth               No auth (local dev only)
+  mrmd-server --allow-root ~/notes --allow-root ~/work
+                                      Serve several workspaces
+  mrmd-server --tls-self-signed       HTTPS without a reverse proxy
+  mrmd-server --tls-cert cert.pem --tls-key key.pem
+                                      HTTPS with your own certificate
 
 Access:
   Once started, access via the URL shown (includes token).
   Share the URL with collaborators for real-time editing.
+
+Token management (talks to a running server):
+  mrmd-server token list
+  mrmd-server token create <user> [--ttl 7d] [--scope read,write] [--root <dir>] [--label <text>]
+  mrmd-server token revoke <token-id>
+  mrmd-server token rotate
+
+  --url <url>           Server URL (default: $MRMD_SERVER_URL or http://localhost:8080)
+  -t, --token <token>   Admin token (default: $MRMD_TOKEN)
+
+Headless execution (talks to a running server):
+  mrmd-server run <document.md> [--fail-fast]
+
+  Runs every code block in order, writes output/error blocks back into the
+  document, and exits non-zero if a block failed.
+  --fail-fast           Stop at the first failing block
+  --url <url>           Server URL (default: $MRMD_SERVER_URL or http://localhost:8080)
+  -t, --token <token>   Token with execute scope (default: $MRMD_TOKEN)
 `);
 }
 
+function parseTokenArgs(args) {
+  const options = {
+    action: args[0],
+    positional: [],
+    url: process.env.MRMD_SERVER_URL || 'http://localhost:8080',
+    token: process.env.MRMD_TOKEN,
+    ttl: undefined,
+    scopes: undefined,
+    projectRoots: [],
+    label: undefined,
+  };
+
+  for (let i = 1; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--url') {
+      options.url = args[++i];
+    } else if (arg === '-t' || arg === '--token') {
+      options.token = args[++i];
+    } else if (arg === '--ttl') {
+      options.ttl = args[++i];
+    } else if (arg === '--scope' || arg === '--scopes') {
+      options.scopes = args[++i].split(',');
+    } else if (arg === '--root') {
+      options.projectRoots.push(path.resolve(args[++i]));
+    } else if (arg === '--label') {
+      options.label = args[++i];
+    } else if (!arg.startsWith('-')) {
+      options.positional.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * mrmd-server token <action> — manage tokens on a running server via /api/admin
+ */
+async function runTokenCommand(args) {
+  const options = parseTokenArgs(args);
+  if (!options.token) {
+    console.error('Error: an admin token is required (--token or MRMD_TOKEN)');
+    process.exit(1);
+  }
+
+  const request = async (method, apiPath, body) => {
+    const res = await fetch(new URL(apiPath, options.url), {
+      method,
+      headers: {
+        'Authorization': `Bearer ${options.token}`,
+        'Content-Type': 'application/json',
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await res.json().catch(() => ({}));
+    return { status: res.status, data };
+  };
+
+  const fail = ({ status, data }) => {
+    console.error(`Error (${status}): ${data.error || 'request failed'}`);
+    process.exit(1);
+  };
+
+  switch (options.action) {
+    case 'list': {
+      const result = await request('GET', '/api/admin/users');
+      if (result.status !== 200) fail(result);
+      for (const user of result.data) {
+        console.log(`${user.id}  (${user.name})`);
+        for (const t of user.tokens) {
+          const expiry = t.expiresAt ? `${t.expired ? 'expired' : 'expires'} ${t.expiresAt}` : 'no expiry';
+          console.log(`  ${t.id}  [${(t.scopes || []).join(',')}]  ${expiry}${t.label ? `  ${t.label}` : ''}`);
+        }
+      }
+      break;
+    }
+
+    case 'create': {
+      const [userId] = options.positional;
+      if (!userId) {
+        console.error('Usage: mrmd-server token create <user> [--ttl 7d] [--scope read,write] [--root <dir>]');
+        process.exit(1);
+      }
+      const tokenOptions = {
+        label: options.label,
+        scopes: options.scopes,
+        projectRoots: options.projectRoots.length > 0 ? options.projectRoots : undefined,
+        ttl: options.ttl,
+      };
+
+      let result = await request('POST', `/api/admin/users/${encodeURIComponent(userId)}/tokens`, tokenOptions);
+      if (result.status === 404) {
+        // First token for this person: create the user as well
+        result = await request('POST', '/api/admin/users', { name: userId, id: userId, ...tokenOptions });
+      }
+      if (result.status !== 201) fail(result);
+
+      console.log(`Token id: ${result.data.record.id}`);
+      if (result.data.record.expiresAt) {
+        console.log(`Expires:  ${result.data.record.expiresAt}`);
+      }
+      console.log(`Token:    ${result.data.token}`);
+      console.log('');
+      console.log(`  ${options.url}?token=${result.data.token}`);
+      break;
+    }
+
+    case 'revoke': {
+      const [tokenId] = options.positional;
+      if (!tokenId) {
+        console.error('Usage: mrmd-server token revoke <token-id>');
+        process.exit(1);
+      }
+      const result = await request('DELETE', `/api/admin/tokens/${encodeURIComponent(tokenId)}`);
+      if (result.status !== 200) fail(result);
+      console.log(`Revoked ${tokenId}`);
+      break;
+    }
+
+    case 'rotate': {
+      const result = await request('POST', '/api/admin/tokens/rotate-primary');
+      if (result.status !== 200) fail(result);
+      console.log(`New primary token: ${result.data.token}`);
+      console.log('');
+      console.log(`  ${options.url}?token=${result.data.token}`);
+      break;
+    }
+
+    default:
+      printHelp();
+      process.exit(1);
+  }
+}
+
+/**
+ * mrmd-server run <document> — execute a document on a running server via
+ * /api/notebook/run, printing progress as it streams in
+ */
+async function runNotebookCommand(args) {
+  const options = {
+    url: process.env.MRMD_SERVER_URL || 'http://localhost:8080',
+    token: process.env.MRMD_TOKEN,
+    failFast: false,
+    document: null,
+  };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--url') {
+      options.url = args[++i];
+    } else if (arg === '-t' || arg === '--token') {
+      options.token = args[++i];
+    } else if (arg === '--fail-fast') {
+      options.failFast = true;
+    } else if (!arg.startsWith('-')) {
+      options.document = path.resolve(arg);
+    }
+  }
+
+  if (!options.document) {
+    console.error('Usage: mrmd-server run <document.md> [--fail-fast] [--url <url>] [--token <token>]');
+    process.exit(1);
+  }
+
+  const res = await fetch(new URL('/api/notebook/run', options.url), {
+    method: 'POST',
+    headers: {
+      ...(options.token ? { 'Authorization': `Bearer ${options.token}` } : {}),
+      'Content-Type': 'application/json',
+      'Accept': 'text/event-stream',
+    },
+    body: JSON.stringify({ path: options.document, failFast: options.failFast }),
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    console.error(`Error (${res.status}): ${data.error || 'request failed'}`);
+    process.exit(1);
+  }
+
+  let summary = null;
+  let buffer = '';
+  const decoder = new TextDecoder();
+  for await (const chunk of res.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const message = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const event = message.match(/^event: (.*)$/m)?.[1];
+      const data = JSON.parse(message.match(/^data: (.*)$/m)?.[1] || '{}');
+
+      if (event === 'start') {
+        console.log(`Running ${data.blocks} block(s) in ${options.document}`);
+      } else if (event === 'block:done') {
+        const status = data.status === 'ok' ? 'ok' : `FAILED: ${data.error}`;
+        console.log(`  [${data.index}] ${data.language} (${data.duration}ms) ${status}`);
+      } else if (event === 'done') {
+        summary = data;
+      } else if (event === 'error') {
+        console.error(`Error: ${data.error}`);
+        process.exit(1);
+      }
+    }
+  }
+
+  if (!summary) {
+    console.error('Error: the server closed the stream before the run finished');
+    process.exit(1);
+  }
+  console.log(`${summary.executed} executed, ${summary.failed} failed, ${summary.skipped} skipped`);
+  if (summary.warning) {
+    console.warn(`Warning: ${summary.warning}`);
+  }
+  process.exit(summary.success ? 0 : 1);
+}
+
 async function main() {
   const args = process.argv.slice(2);
+
+  if (args[0] === 'token') {
+    return runTokenCommand(args.slice(1));
+  }
+
+  if (args[0] === 'run') {
+    return runNotebookCommand(args.slice(1));
+  }
+
   const options = parseArgs(args);
 
+  if (Boolean(options.tlsCert) !== Boolean(options.tlsKey)) {
+    console.error('Error: --tls-cert and --tls-key must be given together');
+    process.exit(1);
+  }
+
+  if (options.rateLimit === undefined && process.env.MRMD_RATE_LIMIT) {
+    const { parseRateLimit } = await import('../src/rate-limit.js');
+    try {
+      options.rateLimit = parseRateLimit(process.env.MRMD_RATE_LIMIT);
+    } catch (err) {
+      console.error(`Error: invalid MRMD_RATE_LIMIT: ${err.message}`);
+      process.exit(1);
+    }
+  }
+
+  if (options.idleTimeouts.length > 0) {
+    const { parseIdleTimeouts } = await import('../src/runtime-reaper.js');
+    try {
+      options.idleTimeouts = parseIdleTimeouts(options.idleTimeouts);
+    } catch (err) {
+      console.error(`Error: invalid --idle-timeout: ${err.message}`);
+      process.exit(1);
+    }
+  } else if (process.env.MRMD_IDLE_TIMEOUT) {
+    const { parseIdleTimeouts } = await import('../src/runtime-reaper.js');
+    try {
+      options.idleTimeouts = parseIdleTimeouts(process.env.MRMD_IDLE_TIMEOUT);
+    } catch (err) {
+      console.error(`Error: invalid MRMD_IDLE_TIMEOUT: ${err.message}`);
+      process.exit(1);
+    }
+  } else {
+    options.idleTimeouts = undefined;
+  }
+
   // Resolve project directory
   options.projectDir = path.resolve(options.projectDir);
 
@@ -108,7 +457,8 @@ async function main() {
     } catch {}
   }
 
-  // Create and start server
+  // Create and start server (loaded lazily so `token` commands stay lightweight)
+  const { createServer } = await import('../src/server.js');
   const server = await createServer({
     ...options,
     electronDir,
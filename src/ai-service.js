@@ -11,8 +11,9 @@
 import { spawn, execSync } from 'child_process';
 import net from 'net';
 import path from 'path';
-import { existsSync, readFileSync } from 'fs';
+import { existsSync } from 'fs';
 import os from 'os';
+import { getSecretStore } from './secret-store.js';
 
 // AI server singleton
 let aiServer = null;
@@ -79,23 +80,16 @@ function findUv() {
 }
 
 /**
- * Load API keys from settings file
- * Settings are stored in ~/.config/mrmd/settings.json (same as mrmd-electron)
+ * Load API keys from the encrypted secret store
+ * (settings.json only holds placeholders; see secret-store.js)
  */
 function loadApiKeysFromSettings() {
-  const settingsPath = path.join(os.homedir(), '.config', 'mrmd', 'settings.json');
-  console.log(`[ai] Loading API keys from ${settingsPath}`);
   try {
-    if (existsSync(settingsPath)) {
-      const settings = JSON.parse(readFileSync(settingsPath, 'utf-8'));
-      const apiKeys = settings.apiKeys || {};
-      console.log(`[ai] Found API keys for: ${Object.keys(apiKeys).filter(k => apiKeys[k]).join(', ') || 'none'}`);
-      return apiKeys;
-    } else {
-      console.log(`[ai] Settings file not found at ${settingsPath}`);
-    }
+    const apiKeys = getSecretStore().getApiKeys();
+    console.log(`[ai] Found API keys for: ${Object.keys(apiKeys).filter(k => apiKeys[k]).join(', ') || 'none'}`);
+    return apiKeys;
   } catch (e) {
-    console.warn('[ai] Failed to load API keys from settings:', e.message);
+    console.warn('[ai] Failed to load API keys:', e.message);
   }
   return {};
 }
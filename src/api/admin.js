@@ -0,0 +1,215 @@
+/**
+ * Admin API routes — user and token management, audit log
+ *
+ * Only admin tokens may call these. Plaintext tokens are returned once,
+ * when issued or rotated, and never again. Revocation and rotation take
+ * effect immediately, including for open WebSocket connections.
+ */
+
+import { Router } from 'express';
+import { requireAdmin } from '../auth.js';
+import { normalizeScopes, parseTtl } from '../user-store.js';
+
+/** Validation errors from UserStore that should surface as 400s */
+const INVALID_INPUT = /Unknown scope|Invalid ttl|Password must/;
+
+/**
+ * Create admin routes
+ * @param {Object} ctx - Server context
+ */
+export function createAdminRoutes(ctx) {
+  const router = Router();
+  const { userStore, auditLog } = ctx;
+
+  router.use(requireAdmin);
+
+  /**
+   * GET /api/admin/users
+   * List users and their token metadata
+   */
+  router.get('/users', (req, res) => {
+    try {
+      res.json(userStore.listUsers());
+    } catch (err) {
+      console.error('[admin:users]', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * POST /api/admin/users
+   * Create a user, optionally issuing their first token
+   *
+   * Body: { name, id?, issueToken?: boolean, label?, scopes?, projectRoots?, ttl? }
+   */
+  router.post('/users', (req, res) => {
+    const { name, id, issueToken = true, label, scopes, projectRoots, ttl } = req.body || {};
+    if (!name) {
+      return res.status(400).json({ error: 'name required' });
+    }
+
+    try {
+      // Validate scopes before creating the user so a typo doesn't leave
+      // behind a user without a token
+      if (issueToken) {
+        normalizeScopes(scopes);
+        parseTtl(ttl);
+      }
+
+      const user = userStore.createUser({ name, id });
+      const result = { user };
+      if (issueToken) {
+        Object.assign(result, userStore.issueToken(user.id, { label, scopes, projectRoots, ttl }));
+      }
+      console.log(`[admin] Created user ${user.id}`);
+      res.status(201).json(result);
+    } catch (err) {
+      if (/already exists/.test(err.message)) {
+        return res.status(409).json({ error: err.message });
+      }
+      if (INVALID_INPUT.test(err.message)) {
+        return res.status(400).json({ error: err.message });
+      }
+      console.error('[admin:create-user]', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * DELETE /api/admin/users/:id
+   * Delete a user and revoke all of their tokens
+   */
+  router.delete('/users/:id', (req, res) => {
+    try {
+      if (!userStore.deleteUser(req.params.id)) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      console.log(`[admin] Deleted user ${req.params.id}`);
+      res.json({ success: true });
+    } catch (err) {
+      console.error('[admin:delete-user]', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * POST /api/admin/users/:id/password
+   * Set or clear a user's password for the browser login page
+   *
+   * Body: { password: string|null, scopes?, projectRoots? }
+   */
+  router.post('/users/:id/password', (req, res) => {
+    try {
+      if (!userStore.getUser(req.params.id)) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      const { password = null, scopes, projectRoots } = req.body || {};
+      userStore.setPassword(req.params.id, password, { scopes, projectRoots });
+      console.log(`[admin] ${password == null ? 'Cleared' : 'Set'} password for ${req.params.id}`);
+      res.json({ success: true });
+    } catch (err) {
+      if (INVALID_INPUT.test(err.message)) {
+        return res.status(400).json({ error: err.message });
+      }
+      console.error('[admin:set-password]', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * POST /api/admin/users/:id/tokens
+   * Issue an additional token for a user
+   *
+   * Body: { label?, scopes?: string[], projectRoots?: string[], ttl?: number|string }
+   *   ttl is seconds, or a string like "30m", "12h", "7d"
+   */
+  router.post('/users/:id/tokens', (req, res) => {
+    try {
+      if (!userStore.getUser(req.params.id)) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      const { label, scopes, projectRoots, ttl } = req.body || {};
+      const result = userStore.issueToken(req.params.id, { label, scopes, projectRoots, ttl });
+      console.log(`[admin] Issued token ${result.record.id} for ${req.params.id}`);
+      res.status(201).json(result);
+    } catch (err) {
+      if (INVALID_INPUT.test(err.message)) {
+        return res.status(400).json({ error: err.message });
+      }
+      console.error('[admin:issue-token]', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * GET /api/admin/tokens
+   * List token metadata (never the token itself)
+   */
+  router.get('/tokens', (req, res) => {
+    try {
+      res.json(userStore.listTokens(req.query.user));
+    } catch (err) {
+      console.error('[admin:tokens]', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * DELETE /api/admin/tokens/:tokenId
+   * Revoke a single token
+   */
+  router.delete('/tokens/:tokenId', (req, res) => {
+    try {
+      if (!userStore.revokeToken(req.params.tokenId)) {
+        return res.status(404).json({ error: 'Token not found' });
+      }
+      console.log(`[admin] Revoked token ${req.params.tokenId}`);
+      res.json({ success: true });
+    } catch (err) {
+      console.error('[admin:revoke-token]', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * POST /api/admin/tokens/rotate-primary
+   * Replace the primary (owner) token without restarting. Runtimes keep
+   * running; clients using the old token are disconnected.
+   *
+   * Body: { token? } — explicit new token (generated if omitted)
+   */
+  router.post('/tokens/rotate-primary', (req, res) => {
+    try {
+      const requested = req.body?.token;
+      if (requested !== undefined && (typeof requested !== 'string' || requested.length < 16)) {
+        return res.status(400).json({ error: 'token must be a string of at least 16 characters' });
+      }
+      const token = userStore.rotatePrimary(requested);
+      res.json({ token });
+    } catch (err) {
+      console.error('[admin:rotate-primary]', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * GET /api/admin/audit
+   * Query the audit log, newest first
+   *
+   * Query: since?, until? (ISO date, epoch ms, or e.g. "24h" ago), user?, limit? (default 200)
+   */
+  router.get('/audit', async (req, res) => {
+    try {
+      const { since, until, user, limit } = req.query;
+      res.json(await auditLog.query({ since, until, user, limit }));
+    } catch (err) {
+      if (/Invalid time|Invalid ttl/.test(err.message)) {
+        return res.status(400).json({ error: err.message });
+      }
+      console.error('[admin:audit]', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
@@ -20,7 +20,7 @@ const upload = multer({
  */
 export function createAssetRoutes(ctx) {
   const router = Router();
-  const { assetService } = ctx;
+  const { assetService, pathGuard } = ctx;
 
   /**
    * GET /api/asset?projectRoot=...
@@ -29,12 +29,12 @@ export function createAssetRoutes(ctx) {
    */
   router.get('/', async (req, res) => {
     try {
-      const projectRoot = req.query.projectRoot || ctx.projectDir;
+      const projectRoot = pathGuard.check(req.query.projectRoot || ctx.projectDir);
       const assets = await assetService.list(projectRoot);
       res.json(assets);
     } catch (err) {
       console.error('[asset:list]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
@@ -48,7 +48,7 @@ export function createAssetRoutes(ctx) {
    */
   router.post('/save', upload.single('file'), async (req, res) => {
     try {
-      const projectRoot = req.body.projectRoot || ctx.projectDir;
+      const projectRoot = pathGuard.check(req.body.projectRoot || ctx.projectDir);
       let filename = req.body.filename || req.file?.originalname || 'untitled';
       let fileBuffer;
 
@@ -73,7 +73,7 @@ export function createAssetRoutes(ctx) {
       res.json(result);
     } catch (err) {
       console.error('[asset:save]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
@@ -96,7 +96,7 @@ export function createAssetRoutes(ctx) {
       res.json({ relativePath });
     } catch (err) {
       console.error('[asset:relativePath]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
@@ -107,12 +107,12 @@ export function createAssetRoutes(ctx) {
    */
   router.get('/orphans', async (req, res) => {
     try {
-      const projectRoot = req.query.projectRoot || ctx.projectDir;
+      const projectRoot = pathGuard.check(req.query.projectRoot || ctx.projectDir);
       const orphans = await assetService.findOrphans(projectRoot);
       res.json(orphans);
     } catch (err) {
       console.error('[asset:orphans]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
@@ -123,18 +123,19 @@ export function createAssetRoutes(ctx) {
    */
   router.delete('/', async (req, res) => {
     try {
-      const projectRoot = req.query.projectRoot || ctx.projectDir;
+      const projectRoot = pathGuard.check(req.query.projectRoot || ctx.projectDir);
       const assetPath = req.query.assetPath;
 
       if (!assetPath) {
         return res.status(400).json({ error: 'assetPath required' });
       }
 
+      pathGuard.resolve(path.join(projectRoot, '_assets'), assetPath);
       await assetService.delete(projectRoot, assetPath);
       res.json({ success: true });
     } catch (err) {
       console.error('[asset:delete]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
@@ -145,7 +146,7 @@ export function createAssetRoutes(ctx) {
   router.get('/file/*', async (req, res) => {
     try {
       const assetPath = req.params[0];
-      const fullPath = path.join(ctx.projectDir, '_assets', assetPath);
+      const fullPath = pathGuard.check(path.join(ctx.projectDir, '_assets', assetPath));
 
       // Security check
       if (!fullPath.startsWith(path.resolve(ctx.projectDir))) {
@@ -155,7 +156,7 @@ export function createAssetRoutes(ctx) {
       res.sendFile(fullPath);
     } catch (err) {
       console.error('[asset:file]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
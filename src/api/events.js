@@ -0,0 +1,139 @@
+/**
+ * Event stream routes — event catalog, and Server-Sent Events fallback
+ * for /events
+ *
+ * Carries the same EventBus stream as the /events WebSocket, for networks
+ * whose proxies strip WebSocket upgrades. Authentication is the regular
+ * /api auth (token or session cookie). Each SSE message's data is the same
+ * JSON as a WebSocket message ({ event, data, seq }); its id is
+ * "<epoch>:<seq>", so a browser EventSource reconnecting with Last-Event-ID
+ * gets missed events replayed.
+ *
+ * SSE is one-way: filters are set with ?projects=&events= when connecting
+ * (reconnect to change them), and presence focus is reported with
+ * POST /api/presence/focus using the clientId from the "connected" event.
+ */
+
+import { Router } from 'express';
+import { describeEvents, eventMatches } from '../events.js';
+import {
+  describeSubscription,
+  replayMissedEvents,
+  subscriptionFromParams,
+  watchTokenLifecycle,
+} from '../websocket.js';
+
+/** Comment line sent periodically so proxies don't time the stream out */
+const KEEPALIVE_INTERVAL = 25000;
+
+/**
+ * Write one event to an SSE response
+ * @param {import('express').Response} res
+ * @param {string} epoch
+ * @param {{ event: string, data: any, seq?: number }} message
+ */
+function writeEvent(res, epoch, message) {
+  if (message.seq != null) {
+    res.write(`id: ${epoch}:${message.seq}\n`);
+  }
+  res.write(`data: ${JSON.stringify(message)}\n\n`);
+}
+
+/**
+ * Create event stream routes
+ * @param {Object} ctx - Server context
+ */
+export function createEventRoutes(ctx) {
+  const router = Router();
+  const { eventBus, presence, userStore } = ctx;
+
+  // Open streams, shaped like sockets for watchTokenLifecycle
+  const streams = new Set();
+  watchTokenLifecycle(userStore, streams, 'SSE');
+
+  eventBus.on('broadcast', (entry) => {
+    for (const stream of streams) {
+      if (eventMatches(entry, stream.subscription, stream.user)) {
+        stream.send({ event: entry.event, data: entry.data, seq: entry.seq });
+      }
+    }
+  });
+
+  /**
+   * GET /api/events/schema
+   * Every event that can arrive on /events or the stream, with a JSON Schema
+   * for its data
+   */
+  router.get('/schema', (req, res) => {
+    res.json(describeEvents());
+  });
+
+  /**
+   * GET /api/events/stream?since=&epoch=&projects=&events=
+   * Server-Sent Events stream of EventBus events
+   */
+  router.get('/stream', (req, res) => {
+    const identity = req.user;
+    const params = new URL(req.originalUrl, 'http://localhost').searchParams;
+    const { subscription, error: subscriptionError } = subscriptionFromParams(params, identity);
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write('retry: 2000\n\n');
+
+    const send = (message) => writeEvent(res, eventBus.epoch, message);
+    const stream = {
+      user: identity,
+      subscription,
+      clientId: presence ? presence.createClientId() : null,
+      send,
+      close: () => res.end(),
+    };
+    send({
+      event: 'connected',
+      data: {
+        message: 'Connected to mrmd-server events',
+        user: { id: identity.id, name: identity.name },
+        clientId: stream.clientId,
+        seq: eventBus.seq,
+        epoch: eventBus.epoch,
+        subscription: describeSubscription(subscription),
+      },
+    });
+
+    if (subscriptionError) {
+      send({ event: 'error', data: { type: 'subscribe', error: subscriptionError } });
+    }
+
+    // An EventSource reconnecting on its own sends Last-Event-ID ("epoch:seq");
+    // it takes precedence over the ?since= it was first opened with
+    const lastEventId = req.get('Last-Event-ID');
+    if (lastEventId && lastEventId.includes(':')) {
+      const [epoch, since] = lastEventId.split(':');
+      replayMissedEvents(eventBus, stream, Number(since), epoch, send, 'SSE');
+    } else if (params.has('since')) {
+      replayMissedEvents(eventBus, stream, Number(params.get('since')), params.get('epoch'), send, 'SSE');
+    }
+
+    streams.add(stream);
+    console.log(`[SSE] Client connected as ${identity.id} (${streams.size} total)`);
+    presence?.join(stream.clientId, identity);
+
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL);
+
+    req.on('close', () => {
+      clearInterval(keepalive);
+      streams.delete(stream);
+      presence?.leave(stream.clientId);
+      console.log(`[SSE] Client disconnected (${streams.size} total)`);
+    });
+  });
+
+  return router;
+}
@@ -53,7 +53,7 @@ async function scanDirectories(root, { maxDepth = 10, includeHidden = false } =
  */
 export function createFileRoutes(ctx) {
   const router = Router();
-  const { fileService } = ctx;
+  const { fileService, pathGuard } = ctx;
 
   /**
    * GET /api/file/scan?root=...&extensions=...&maxDepth=...
@@ -65,7 +65,7 @@ export function createFileRoutes(ctx) {
       // Default to project dir, then cwd, then home
       // On servers like RunPod, cwd (/workspace) is more useful than home (/root)
       const os = await import('os');
-      const root = req.query.root || ctx.projectDir || process.cwd() || os.default.homedir();
+      const root = pathGuard.resolve(ctx.projectDir, req.query.root || ctx.projectDir || process.cwd() || os.default.homedir());
       const options = {
         // Default to markdown-like docs and .ipynb (like Electron)
         extensions: req.query.extensions?.split(',') || ['.md', '.qmd', '.ipynb'],
@@ -84,7 +84,7 @@ export function createFileRoutes(ctx) {
       res.json({ files, dirs });
     } catch (err) {
       console.error('[file:scan]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
@@ -100,7 +100,7 @@ export function createFileRoutes(ctx) {
         return res.status(400).json({ error: 'filePath required' });
       }
 
-      const fullPath = resolvePath(ctx.projectDir, filePath);
+      const fullPath = pathGuard.resolve(ctx.projectDir, filePath);
       await fileService.createFile(fullPath, content);
 
       ctx.eventBus.projectChanged(ctx.projectDir);
@@ -110,7 +110,7 @@ export function createFileRoutes(ctx) {
         return res.status(409).json({ error: 'File already exists' });
       }
       console.error('[file:create]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
@@ -126,7 +126,8 @@ export function createFileRoutes(ctx) {
         return res.status(400).json({ error: 'relativePath required' });
       }
 
-      const root = projectRoot || ctx.projectDir;
+      const root = pathGuard.check(projectRoot || ctx.projectDir);
+      pathGuard.resolve(root, relativePath);
       const result = await fileService.createInProject(root, relativePath, content);
 
       ctx.eventBus.projectChanged(root);
@@ -136,7 +137,7 @@ export function createFileRoutes(ctx) {
       });
     } catch (err) {
       console.error('[file:createInProject]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
@@ -152,7 +153,9 @@ export function createFileRoutes(ctx) {
         return res.status(400).json({ error: 'fromPath and toPath required' });
       }
 
-      const root = projectRoot || ctx.projectDir;
+      const root = pathGuard.check(projectRoot || ctx.projectDir);
+      pathGuard.resolve(root, fromPath);
+      pathGuard.resolve(root, toPath);
       const result = await fileService.move(root, fromPath, toPath);
 
       ctx.eventBus.projectChanged(root);
@@ -163,7 +166,7 @@ export function createFileRoutes(ctx) {
       });
     } catch (err) {
       console.error('[file:move]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
@@ -179,7 +182,9 @@ export function createFileRoutes(ctx) {
         return res.status(400).json({ error: 'sourcePath, targetPath, and position required' });
       }
 
-      const root = projectRoot || ctx.projectDir;
+      const root = pathGuard.check(projectRoot || ctx.projectDir);
+      pathGuard.resolve(root, sourcePath);
+      pathGuard.resolve(root, targetPath);
       const result = await fileService.reorder(root, sourcePath, targetPath, position);
 
       ctx.eventBus.projectChanged(root);
@@ -190,7 +195,7 @@ export function createFileRoutes(ctx) {
       });
     } catch (err) {
       console.error('[file:reorder]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
@@ -206,14 +211,14 @@ export function createFileRoutes(ctx) {
         return res.status(400).json({ error: 'path query parameter required' });
       }
 
-      const fullPath = resolvePath(ctx.projectDir, filePath);
+      const fullPath = pathGuard.resolve(ctx.projectDir, filePath);
       await fileService.delete(fullPath);
 
       ctx.eventBus.projectChanged(ctx.projectDir);
       res.json({ success: true });
     } catch (err) {
       console.error('[file:delete]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
@@ -229,7 +234,7 @@ export function createFileRoutes(ctx) {
         return res.status(400).json({ error: 'path query parameter required' });
       }
 
-      const fullPath = resolvePath(ctx.projectDir, filePath);
+      const fullPath = pathGuard.resolve(ctx.projectDir, filePath);
       const content = await fileService.read(fullPath);
 
       res.json({ success: true, content });
@@ -238,7 +243,7 @@ export function createFileRoutes(ctx) {
         return res.status(404).json({ success: false, error: 'File not found' });
       }
       console.error('[file:read]', err);
-      res.status(500).json({ success: false, error: err.message });
+      res.status(err.status || 500).json({ success: false, error: err.message });
     }
   });
 
@@ -254,13 +259,13 @@ export function createFileRoutes(ctx) {
         return res.status(400).json({ error: 'filePath required' });
       }
 
-      const fullPath = resolvePath(ctx.projectDir, filePath);
+      const fullPath = pathGuard.resolve(ctx.projectDir, filePath);
       await fileService.write(fullPath, content ?? '');
 
       res.json({ success: true });
     } catch (err) {
       console.error('[file:write]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
@@ -278,7 +283,7 @@ export function createFileRoutes(ctx) {
         return res.status(400).json({ error: 'path query parameter required' });
       }
 
-      const fullPath = resolvePath(ctx.projectDir, filePath);
+      const fullPath = pathGuard.resolve(ctx.projectDir, filePath);
       const content = await fileService.read(fullPath);
       const previewLines = content.split('\n').slice(0, lines).join('\n');
 
@@ -288,7 +293,7 @@ export function createFileRoutes(ctx) {
         return res.status(404).json({ success: false, error: 'File not found' });
       }
       console.error('[file:preview]', err);
-      res.status(500).json({ success: false, error: err.message });
+      res.status(err.status || 500).json({ success: false, error: err.message });
     }
   });
 
@@ -304,7 +309,7 @@ export function createFileRoutes(ctx) {
         return res.status(400).json({ error: 'path query parameter required' });
       }
 
-      const fullPath = resolvePath(ctx.projectDir, filePath);
+      const fullPath = pathGuard.resolve(ctx.projectDir, filePath);
       // FileService doesn't have getInfo, use fs directly for this simple operation
       const fs = await import('fs/promises');
       const stat = await fs.stat(fullPath);
@@ -321,7 +326,7 @@ export function createFileRoutes(ctx) {
         return res.status(404).json({ error: 'File not found' });
       }
       console.error('[file:info]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
@@ -337,10 +342,10 @@ export function createFileRoutes(ctx) {
 
       let browsePath = req.query.path || '~';
       if (browsePath === '~') {
-        browsePath = ctx.projectDir || os.default.homedir();
+        browsePath = ctx.projectDir || pathGuard.roots[0] || os.default.homedir();
       }
 
-      const resolvedPath = path.resolve(browsePath);
+      const resolvedPath = pathGuard.check(browsePath);
       const typeFilter = req.query.type || 'all'; // 'all', 'dir', 'file'
       const showHidden = req.query.show_hidden === 'true';
 
@@ -396,15 +401,16 @@ export function createFileRoutes(ctx) {
         return a.name.localeCompare(b.name);
       });
 
+      // Don't offer to navigate above the workspace roots
       const parent = path.dirname(resolvedPath);
       res.json({
         path: resolvedPath,
-        parent: parent !== resolvedPath ? parent : null,
+        parent: parent !== resolvedPath && pathGuard.isAllowed(parent) ? parent : null,
         entries,
       });
     } catch (err) {
       console.error('[file:browse]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
@@ -419,7 +425,7 @@ export function createFileRoutes(ctx) {
       if (!filePath || !bytes) {
         return res.status(400).json({ error: 'filePath and bytes required' });
       }
-      const fullPath = resolvePath(ctx.projectDir, filePath);
+      const fullPath = pathGuard.resolve(ctx.projectDir, filePath);
       await fsPromises.mkdir(path.dirname(fullPath), { recursive: true });
       await fsPromises.writeFile(fullPath, Buffer.from(bytes));
 
@@ -427,7 +433,7 @@ export function createFileRoutes(ctx) {
       res.json({ success: true, path: fullPath });
     } catch (err) {
       console.error('[file:write-bytes]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
@@ -443,8 +449,8 @@ export function createFileRoutes(ctx) {
         return res.status(400).json({ error: 'fromPath and toPath required' });
       }
 
-      const fullFrom = resolvePath(ctx.projectDir, fromPath);
-      const fullTo = resolvePath(ctx.projectDir, toPath);
+      const fullFrom = pathGuard.resolve(ctx.projectDir, fromPath);
+      const fullTo = pathGuard.resolve(ctx.projectDir, toPath);
       const stat = await fsPromises.stat(fullFrom);
 
       if (stat.isDirectory()) {
@@ -458,23 +464,9 @@ export function createFileRoutes(ctx) {
       res.json({ success: true, path: fullTo });
     } catch (err) {
       console.error('[file:copy]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
   return router;
 }
-
-/**
- * Resolve path - allows full filesystem access
- *
- * @param {string} basePath - Base path for relative paths (ignored for absolute)
- * @param {string} inputPath - Path to resolve (absolute or relative)
- * @returns {string} Resolved absolute path
- */
-function resolvePath(basePath, inputPath) {
-  if (path.isAbsolute(inputPath)) {
-    return inputPath;
-  }
-  return path.resolve(basePath, inputPath);
-}
@@ -0,0 +1,154 @@
+/**
+ * Jobs API routes — scheduled notebook runs and their history
+ *
+ * Jobs outside the caller's project roots are invisible (404), like any
+ * other path a token may not reach. Creating, changing and running jobs
+ * needs the `execute` scope.
+ */
+
+import { Router } from 'express';
+import { isPathAllowed } from '../auth.js';
+
+/**
+ * Create jobs routes
+ * @param {Object} ctx - Server context
+ */
+export function createJobRoutes(ctx) {
+  const router = Router();
+  const { jobScheduler } = ctx;
+
+  /**
+   * The job, if the caller may see it; otherwise a 404 is sent
+   */
+  function visibleJob(req, res) {
+    const job = jobScheduler.find(req.params.id);
+    if (!job || !isPathAllowed(req.user || null, job.projectRoot)) {
+      res.status(404).json({ error: `Unknown job ${req.params.id}` });
+      return null;
+    }
+    return job;
+  }
+
+  /**
+   * GET /api/jobs?projectRoot=...
+   * List jobs (optionally of one project) with their next and last run
+   */
+  router.get('/', (req, res) => {
+    try {
+      const jobs = jobScheduler.list({
+        projectRoot: req.query.projectRoot,
+        visible: (projectRoot) => isPathAllowed(req.user || null, projectRoot),
+      });
+      res.json({ jobs });
+    } catch (err) {
+      console.error('[jobs]', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * POST /api/jobs
+   * Create a job
+   * Body: { projectRoot, documentPath, schedule, name?, enabled?, failFast? }
+   */
+  router.post('/', (req, res) => {
+    try {
+      res.status(201).json(jobScheduler.create(req.body || {}, req.user || null));
+    } catch (err) {
+      console.error('[jobs:create]', err.message);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * GET /api/jobs/:id
+   */
+  router.get('/:id', (req, res) => {
+    try {
+      if (!visibleJob(req, res)) return;
+      res.json(jobScheduler.get(req.params.id));
+    } catch (err) {
+      console.error('[jobs]', err.message);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * PATCH /api/jobs/:id
+   * Change a job
+   * Body: any of { name, documentPath, schedule, enabled, failFast }
+   */
+  router.patch('/:id', (req, res) => {
+    try {
+      if (!visibleJob(req, res)) return;
+      res.json(jobScheduler.update(req.params.id, req.body || {}));
+    } catch (err) {
+      console.error('[jobs:update]', err.message);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * DELETE /api/jobs/:id
+   * Delete a job and its run history (stops it if it is running)
+   */
+  router.delete('/:id', (req, res) => {
+    try {
+      if (!visibleJob(req, res)) return;
+      jobScheduler.delete(req.params.id);
+      res.json({ success: true });
+    } catch (err) {
+      console.error('[jobs:delete]', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * POST /api/jobs/:id/run
+   * Run a job now. Responds 202 with the started run; follow it with
+   * job:finished events or GET /api/jobs/:id/runs/:runId.
+   */
+  router.post('/:id/run', (req, res) => {
+    try {
+      if (!visibleJob(req, res)) return;
+      const { run } = jobScheduler.runNow(req.params.id, 'manual');
+      res.status(202).json(run);
+    } catch (err) {
+      console.error('[jobs:run]', err.message);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * GET /api/jobs/:id/runs?limit=
+   * Run history, most recent first (without logs)
+   */
+  router.get('/:id/runs', (req, res) => {
+    try {
+      if (!visibleJob(req, res)) return;
+      const limit = Math.max(1, parseInt(req.query.limit, 10) || 20);
+      const runs = jobScheduler.listRuns(req.params.id, { limit })
+        .map(({ log, ...run }) => run);
+      res.json({ runs });
+    } catch (err) {
+      console.error('[jobs:runs]', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * GET /api/jobs/:id/runs/:runId
+   * One run, with its log
+   */
+  router.get('/:id/runs/:runId', (req, res) => {
+    try {
+      if (!visibleJob(req, res)) return;
+      res.json(jobScheduler.getRun(req.params.id, req.params.runId));
+    } catch (err) {
+      console.error('[jobs:runs]', err.message);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
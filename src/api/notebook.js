@@ -1,23 +1,38 @@
 /**
- * Notebook (Jupyter) API routes
+ * Notebook API routes
  *
- * Mirrors electronAPI.notebook.*
+ * Jupyter conversion/sync (mirrors electronAPI.notebook.*) and headless
+ * execution of markdown documents.
  */
 
 import { Router } from 'express';
 import { spawn } from 'child_process';
 import path from 'path';
 import fs from 'fs/promises';
+import { runDocument } from '../notebook-runner.js';
+import { createEffectiveRuntimeResolver } from './runtime.js';
 
 // Active sync processes: ipynbPath -> { process, shadowPath, syncPort }
 const syncProcesses = new Map();
 
+/**
+ * Ports of running notebook sync processes (for the /sync forwarder)
+ * @returns {number[]}
+ */
+export function listNotebookSyncPorts() {
+  return Array.from(syncProcesses.values())
+    .map((sync) => sync.syncPort)
+    .filter(Boolean);
+}
+
 /**
  * Create notebook routes
  * @param {import('../server.js').ServerContext} ctx
  */
 export function createNotebookRoutes(ctx) {
   const router = Router();
+  const { runtimeService } = ctx;
+  const ensureEffectiveRuntime = createEffectiveRuntimeResolver(ctx);
 
   /**
    * POST /api/notebook/convert
@@ -31,7 +46,7 @@ export function createNotebookRoutes(ctx) {
         return res.status(400).json({ error: 'ipynbPath required' });
       }
 
-      const fullPath = path.resolve(ctx.projectDir, ipynbPath);
+      const fullPath = ctx.pathGuard.resolve(ctx.projectDir, ipynbPath);
 
       // Verify file exists and is .ipynb
       try {
@@ -64,7 +79,7 @@ export function createNotebookRoutes(ctx) {
       });
     } catch (err) {
       console.error('[notebook:convert]', err);
-      res.status(500).json({ success: false, error: err.message });
+      res.status(err.status || 500).json({ success: false, error: err.message });
     }
   });
 
@@ -80,7 +95,7 @@ export function createNotebookRoutes(ctx) {
         return res.status(400).json({ error: 'ipynbPath required' });
       }
 
-      const fullPath = path.resolve(ctx.projectDir, ipynbPath);
+      const fullPath = ctx.pathGuard.resolve(ctx.projectDir, ipynbPath);
 
       // Check if already syncing
       if (syncProcesses.has(fullPath)) {
@@ -165,7 +180,7 @@ export function createNotebookRoutes(ctx) {
       });
     } catch (err) {
       console.error('[notebook:startSync]', err);
-      res.status(500).json({ success: false, error: err.message });
+      res.status(err.status || 500).json({ success: false, error: err.message });
     }
   });
 
@@ -181,7 +196,7 @@ export function createNotebookRoutes(ctx) {
         return res.status(400).json({ error: 'ipynbPath required' });
       }
 
-      const fullPath = path.resolve(ctx.projectDir, ipynbPath);
+      const fullPath = ctx.pathGuard.resolve(ctx.projectDir, ipynbPath);
       const sync = syncProcesses.get(fullPath);
 
       if (sync) {
@@ -194,7 +209,79 @@ export function createNotebookRoutes(ctx) {
       res.json({ success: true });
     } catch (err) {
       console.error('[notebook:stopSync]', err);
-      res.status(500).json({ success: false, error: err.message });
+      res.status(err.status || 500).json({ success: false, error: err.message });
+    }
+  });
+
+  /**
+   * POST /api/notebook/run
+   * Execute every code block of a markdown document, in order, and write
+   * the results back as output/error blocks.
+   * Body: { path, failFast? }
+   * With `Accept: text/event-stream`, progress streams as SSE events
+   * (start, block:start, block:done, done); otherwise the summary is
+   * returned as JSON when the run ends.
+   */
+  router.post('/run', async (req, res) => {
+    const streaming = (req.get('Accept') || '').includes('text/event-stream');
+
+    const send = (event, data) => {
+      if (streaming) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    };
+
+    try {
+      const { path: documentPath, failFast = false } = req.body;
+      if (!documentPath) {
+        return res.status(400).json({ error: 'path required' });
+      }
+
+      const fullPath = ctx.pathGuard.resolve(ctx.projectDir, documentPath);
+
+      // Stop executing if the caller goes away
+      const abort = new AbortController();
+      res.on('close', () => {
+        if (!res.writableFinished) abort.abort();
+      });
+
+      console.log(`[notebook:run] ${req.user?.id ?? 'anonymous'} running ${fullPath}`);
+
+      const body = await runDocument(fullPath, {
+        runtimeService,
+        ensureEffectiveRuntime,
+        failFast,
+        onProgress: (event, data) => {
+          // Headers go out once the document is known to be runnable
+          if (streaming && !res.headersSent) {
+            res.status(200).set({
+              'Content-Type': 'text/event-stream',
+              'Cache-Control': 'no-cache, no-transform',
+              'X-Accel-Buffering': 'no',
+            });
+            res.flushHeaders();
+          }
+          send(event, data);
+        },
+        signal: abort.signal,
+        runtimeReaper: ctx.runtimeReaper,
+      });
+      console.log(`[notebook:run] ${fullPath}: ${body.executed} executed, ${body.failed} failed, ${body.skipped} skipped`);
+
+      if (streaming) {
+        send('done', body);
+        res.end();
+      } else {
+        res.json(body);
+      }
+    } catch (err) {
+      console.error('[notebook:run]', err.message);
+      if (res.headersSent) {
+        send('error', { error: err.message });
+        res.end();
+      } else {
+        res.status(err.status || 500).json({ error: err.message });
+      }
     }
   });
 
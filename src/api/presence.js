@@ -0,0 +1,51 @@
+/**
+ * Presence API routes — connected clients and the documents they have open
+ *
+ * Live updates arrive on /events as presence:join, presence:focus and
+ * presence:leave; this is the snapshot to start from.
+ */
+
+import { Router } from 'express';
+
+/**
+ * Create presence routes
+ * @param {Object} ctx - Server context
+ */
+export function createPresenceRoutes(ctx) {
+  const router = Router();
+  const { presence } = ctx;
+
+  /**
+   * GET /api/presence?projectRoot=...
+   * List connected clients (optionally only those focused inside a project)
+   */
+  router.get('/', (req, res) => {
+    try {
+      const clients = presence.list(req.user || null, { projectRoot: req.query.projectRoot });
+      res.json({ clients });
+    } catch (err) {
+      console.error('[presence]', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * POST /api/presence/focus
+   * Report the open document for a client without a WebSocket (SSE)
+   * Body: { clientId, projectRoot?, documentPath? }
+   */
+  router.post('/focus', (req, res) => {
+    try {
+      const { clientId, projectRoot = null, documentPath = null } = req.body || {};
+      if (!clientId) {
+        return res.status(400).json({ error: 'clientId required' });
+      }
+      res.json(presence.focus(clientId, { projectRoot, documentPath }, req.user || null));
+    } catch (err) {
+      console.error('[presence:focus]', err.message);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
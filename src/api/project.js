@@ -92,7 +92,7 @@ async function detectProject(filePath) {
  */
 export function createProjectRoutes(ctx) {
   const router = Router();
-  const { projectService, acquireSyncServer, releaseSyncServer, getSyncServer, listSyncServers } = ctx;
+  const { projectService, pathGuard, acquireSyncServer, releaseSyncServer, getSyncServer, listSyncServers } = ctx;
 
   /**
    * GET /api/project?path=...
@@ -109,10 +109,13 @@ export function createProjectRoutes(ctx) {
       }
 
       // Detect project from file path
-      const resolvedPath = path.isAbsolute(filePath) ? filePath : path.resolve(ctx.projectDir || process.cwd(), filePath);
+      const resolvedPath = pathGuard.resolve(ctx.projectDir || process.cwd(), filePath);
       const detected = await detectProject(resolvedPath);
 
       if (detected) {
+        // A project root above the sandbox would expose files outside it
+        pathGuard.check(detected.root);
+
         // Get or start sync server for this project
         let syncInfo = null;
         try {
@@ -139,7 +142,7 @@ export function createProjectRoutes(ctx) {
       }
     } catch (err) {
       console.error('[project:get]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
@@ -153,7 +156,7 @@ export function createProjectRoutes(ctx) {
       res.json(servers);
     } catch (err) {
       console.error('[project:sync]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
@@ -167,11 +170,11 @@ export function createProjectRoutes(ctx) {
       if (!projectDir) {
         return res.status(400).json({ error: 'projectDir required' });
       }
-      const server = await acquireSyncServer(projectDir);
+      const server = await acquireSyncServer(pathGuard.check(projectDir));
       res.json({ port: server.port, dir: server.dir, refCount: server.refCount });
     } catch (err) {
       console.error('[project:sync/acquire]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
@@ -189,7 +192,7 @@ export function createProjectRoutes(ctx) {
       res.json({ success: true });
     } catch (err) {
       console.error('[project:sync/release]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
@@ -210,14 +213,14 @@ export function createProjectRoutes(ctx) {
         return res.status(400).json({ error: 'targetPath required' });
       }
 
-      const resolvedPath = path.resolve(ctx.projectDir, targetPath);
+      const resolvedPath = pathGuard.resolve(ctx.projectDir, targetPath);
 
       // Use ProjectService to create full project (same as Electron)
       const projectInfo = await projectService.createProject(resolvedPath);
       res.json(projectInfo);
     } catch (err) {
       console.error('[project:create]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
@@ -228,12 +231,12 @@ export function createProjectRoutes(ctx) {
    */
   router.get('/nav', async (req, res) => {
     try {
-      const projectRoot = req.query.root || ctx.projectDir;
+      const projectRoot = pathGuard.check(req.query.root || ctx.projectDir);
       const navTree = await buildNavTree(projectRoot);
       res.json(navTree);
     } catch (err) {
       console.error('[project:nav]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
@@ -251,6 +254,7 @@ export function createProjectRoutes(ctx) {
       if (!root) {
         return res.status(400).json({ error: 'root query parameter required' });
       }
+      pathGuard.check(root);
 
       // Use shared ProjectService implementation so Electron + server stay aligned.
       const tree = await projectService.getRawTree(root, {
@@ -261,7 +265,7 @@ export function createProjectRoutes(ctx) {
       res.json(tree);
     } catch (err) {
       console.error('[project:raw-tree]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
@@ -275,13 +279,14 @@ export function createProjectRoutes(ctx) {
       const { projectRoot } = req.body;
       const root = projectRoot || ctx.projectDir;
       if (root) {
+        pathGuard.check(root);
         projectService.invalidate(root);
       }
       ctx.eventBus.projectChanged(root);
       res.json({ success: true });
     } catch (err) {
       console.error('[project:invalidate]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
@@ -293,7 +298,7 @@ export function createProjectRoutes(ctx) {
   router.post('/watch', async (req, res) => {
     try {
       const { projectRoot } = req.body;
-      const watchPath = projectRoot || ctx.projectDir;
+      const watchPath = pathGuard.check(projectRoot || ctx.projectDir);
 
       // Close existing watcher if any
       if (ctx.watchers.has(watchPath)) {
@@ -319,7 +324,7 @@ export function createProjectRoutes(ctx) {
       res.json({ success: true, watching: watchPath });
     } catch (err) {
       console.error('[project:watch]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
@@ -338,7 +343,7 @@ export function createProjectRoutes(ctx) {
       res.json({ success: true });
     } catch (err) {
       console.error('[project:unwatch]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
@@ -8,6 +8,21 @@
 import { Router } from 'express';
 import fs from 'fs';
 import path from 'path';
+import { StringDecoder } from 'string_decoder';
+import { isPathAllowed } from '../auth.js';
+
+/** How often a followed log is checked for new output */
+const LOG_FOLLOW_INTERVAL = 1000;
+
+/** Most bytes of new log output read per check (the rest follows next time) */
+const LOG_FOLLOW_MAX_READ = 1024 * 1024;
+
+/** Comment line sent periodically so proxies don't time a followed log out */
+const LOG_KEEPALIVE_INTERVAL = 25000;
+
+const ENV_SCOPES = ['global', 'project', 'notebook'];
+
+const ENV_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
 
 /**
  * Resolve project root from a file path without requiring mrmd.md.
@@ -63,25 +78,49 @@ function resolveProjectRoot(filePath, fallbackRoot = null) {
 }
 
 /**
- * Create unified runtime routes.
+ * What's wrong with an environment variable request, if anything
+ * @param {string} scope
+ * @param {string} name
+ * @param {{ documentPath?: string, projectRoot?: string }} paths
+ * @returns {string|null}
+ */
+function envRequestProblem(scope, name, { documentPath, projectRoot }) {
+  if (!ENV_SCOPES.includes(scope)) return `scope must be one of ${ENV_SCOPES.join(', ')}`;
+  if (!ENV_NAME.test(String(name || ''))) return 'name must be a valid environment variable name';
+  if (scope === 'notebook' && !documentPath) return 'documentPath required';
+  if (scope === 'project' && !documentPath && !projectRoot) return 'projectRoot or documentPath required';
+  return null;
+}
+
+/**
+ * Map language aliases (py, sh, jl, ...) to runtime language names.
+ */
+export function normalizeRuntimeLanguage(language) {
+  const l = String(language || '').toLowerCase();
+  if (l === 'py' || l === 'python3') return 'python';
+  if (l === 'sh' || l === 'shell' || l === 'zsh') return 'bash';
+  if (l === 'rlang') return 'r';
+  if (l === 'jl') return 'julia';
+  if (l === 'js' || l === 'node' || l === 'nodejs') return 'javascript';
+  if (l === 'term' || l === 'terminal') return 'pty';
+  return l;
+}
+
+/**
+ * Create the resolver that gets or starts the effective runtime for a
+ * document (preferences, then the tunnel if available, then local).
+ * Shared by /api/runtime/for-document and /api/notebook/run.
+ * Options: { projectRoot?, deviceKind?, local? }
  * @param {Object} ctx — server context with runtimeService
+ * @returns {(documentPath: string, language: string, options?: Object) => Promise<Object>}
  */
-export function createRuntimeRoutes(ctx) {
-  const router = Router();
+export function createEffectiveRuntimeResolver(ctx) {
   const { runtimeService, runtimePreferencesService } = ctx;
 
-  function normalizeRuntimeLanguage(language) {
-    const l = String(language || '').toLowerCase();
-    if (l === 'py' || l === 'python3') return 'python';
-    if (l === 'sh' || l === 'shell' || l === 'zsh') return 'bash';
-    if (l === 'rlang') return 'r';
-    if (l === 'jl') return 'julia';
-    if (l === 'term' || l === 'terminal') return 'pty';
-    return l;
-  }
-
-  async function ensureEffectiveRuntime(documentPath, language, options = {}) {
-    const normalized = normalizeRuntimeLanguage(language);
+  return async function ensureEffectiveRuntime(documentPath, language, options = {}) {
+    // Aliases of custom runtimes are only known to the runtime service
+    const alias = normalizeRuntimeLanguage(language);
+    const normalized = runtimeService.resolveLanguage?.(alias) || alias;
     const supported = new Set(runtimeService.supportedLanguages());
     if (!supported.has(normalized)) {
       return {
@@ -117,7 +156,8 @@ export function createRuntimeRoutes(ctx) {
     }
 
     // If tunnel provider is available, prefer it so execution runs on user's machine.
-    if (ctx.tunnelClient?.isAvailable()) {
+    // (options.local skips it, for callers that talk to the runtime directly)
+    if (!options.local && ctx.tunnelClient?.isAvailable()) {
       try {
         const tunnelResult = await ctx.tunnelClient.startRuntime({
           language: normalized,
@@ -141,6 +181,10 @@ export function createRuntimeRoutes(ctx) {
 
     try {
       const runtime = await runtimeService.start(startConfig);
+      if (ctx.runtimeReaper) {
+        ctx.runtimeReaper.setKeepAlive(runtime.name, effective?.keepAlive);
+        ctx.runtimeReaper.touch(runtime.name);
+      }
       return {
         ...runtime,
         id: runtime.name,
@@ -150,16 +194,58 @@ export function createRuntimeRoutes(ctx) {
         effective,
       };
     } catch (e) {
+      // env may hold decrypted secrets
+      const { env, ...publicConfig } = startConfig;
       return {
-        ...startConfig,
+        ...publicConfig,
         id: startConfig.name,
         alive: false,
         available: true,
         autoStart: true,
         error: e.message,
+        // The end of the runtime's log, which usually says why it failed
+        logTail: e.logTail || runtimeService.readLog?.(startConfig.name, 30) || [],
         effective,
       };
     }
+  };
+}
+
+/**
+ * Create unified runtime routes.
+ * @param {Object} ctx — server context with runtimeService
+ */
+export function createRuntimeRoutes(ctx) {
+  const router = Router();
+  const { runtimeService } = ctx;
+  const ensureEffectiveRuntime = createEffectiveRuntimeResolver(ctx);
+
+  /**
+   * Check a runtime against an identity's project roots, by its cwd.
+   * Runtimes that aren't running (only a log left) are only visible to
+   * unrestricted identities.
+   */
+  function isRuntimeAllowed(identity, name) {
+    if (!identity?.projectRoots) return true;
+    return isRuntimeVisible(identity, runtimeService.list().find((r) => r.name === name));
+  }
+
+  /**
+   * Same check for a runtime (or anything with its cwd) already at hand
+   */
+  function isRuntimeVisible(identity, runtime) {
+    if (!identity?.projectRoots) return true;
+    return Boolean(runtime?.cwd) && isPathAllowed(identity, runtime.cwd);
+  }
+
+  /**
+   * Send a 403 unless the caller may see the runtime in req.params.name
+   * @returns {boolean} Whether the request may go on
+   */
+  function checkRuntimeAllowed(req, res) {
+    if (isRuntimeAllowed(req.user, req.params.name)) return true;
+    res.status(403).json({ error: 'Runtime outside allowed project roots' });
+    return false;
   }
 
   /**
@@ -173,12 +259,18 @@ export function createRuntimeRoutes(ctx) {
         try {
           const tunnelRuntimes = await ctx.tunnelClient.listRuntimes(req.query.language);
           console.log('[runtime:list] Using tunnel — listing Electron runtimes');
-          return res.json(tunnelRuntimes);
+          return res.json(Array.isArray(tunnelRuntimes)
+            ? tunnelRuntimes.filter((runtime) => isRuntimeVisible(req.user, runtime))
+            : tunnelRuntimes);
         } catch (err) {
           console.warn('[runtime:list] Tunnel list failed, falling back to local:', err.message);
         }
       }
-      res.json(runtimeService.list(req.query.language));
+      const runtimes = runtimeService.list(req.query.language)
+        .filter((runtime) => isRuntimeVisible(req.user, runtime));
+      res.json(ctx.runtimeReaper
+        ? runtimes.map((runtime) => ({ ...runtime, ...ctx.runtimeReaper.describe(runtime) }))
+        : runtimes);
     } catch (err) {
       console.error('[runtime:list]', err);
       res.status(500).json({ error: err.message });
@@ -187,15 +279,33 @@ export function createRuntimeRoutes(ctx) {
 
   /**
    * POST /api/runtime
-   * Start a runtime.
-   * Body: { config: { name, language, cwd, venv? } }
+   * Start a runtime. Resource limits and restart policy are the language's
+   * configured ones; callers can't choose their own limits, port or
+   * environment. cwd (default: the project directory) must be inside the
+   * workspace roots and the token's project roots.
+   * Body: { config: { name, language, cwd?, venv? } }
    */
   router.post('/', async (req, res) => {
     try {
-      const { config } = req.body;
-      if (!config?.name || !config?.language) {
+      const { config: requested } = req.body;
+      if (!requested?.name || !requested?.language) {
         return res.status(400).json({ error: 'config.name and config.language required' });
       }
+      const cwd = ctx.pathGuard
+        ? ctx.pathGuard.check(requested.cwd || ctx.projectDir || process.cwd())
+        : path.resolve(requested.cwd || ctx.projectDir || process.cwd());
+      if (!isPathAllowed(req.user, cwd)) {
+        return res.status(403).json({ error: 'Runtime cwd outside allowed project roots' });
+      }
+      const language = normalizeRuntimeLanguage(requested.language);
+      const config = {
+        name: requested.name,
+        language: requested.language,
+        cwd,
+        venv: requested.venv,
+        limits: ctx.runtimePreferencesService?.getLimits(language) ?? null,
+        restartPolicy: ctx.runtimePreferencesService?.getRestartPolicy(language) ?? null,
+      };
       if (ctx.tunnelClient?.isAvailable()) {
         try {
           const tunnelResult = await ctx.tunnelClient.startRuntime(config);
@@ -209,7 +319,7 @@ export function createRuntimeRoutes(ctx) {
       res.json(result);
     } catch (err) {
       console.error('[runtime:start]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
@@ -219,6 +329,7 @@ export function createRuntimeRoutes(ctx) {
    */
   router.delete('/:name', async (req, res) => {
     try {
+      if (!checkRuntimeAllowed(req, res)) return;
       if (ctx.tunnelClient?.isAvailable()) {
         try {
           const result = await ctx.tunnelClient.stopRuntime(req.params.name);
@@ -242,6 +353,7 @@ export function createRuntimeRoutes(ctx) {
    */
   router.post('/:name/restart', async (req, res) => {
     try {
+      if (!checkRuntimeAllowed(req, res)) return;
       if (ctx.tunnelClient?.isAvailable()) {
         try {
           const result = await ctx.tunnelClient.restartRuntime(req.params.name);
@@ -265,6 +377,7 @@ export function createRuntimeRoutes(ctx) {
    */
   router.post('/:name/attach', async (req, res) => {
     try {
+      if (!checkRuntimeAllowed(req, res)) return;
       const result = runtimeService.attach(req.params.name);
       if (!result) {
         return res.status(404).json({ success: false, error: 'Runtime not found' });
@@ -329,6 +442,351 @@ export function createRuntimeRoutes(ctx) {
     }
   });
 
+  /**
+   * POST /api/runtime/keep-alive
+   * Exempt a notebook's (or a whole project's) runtime for a language from
+   * the idle reaper, or undo that.
+   * Body: { documentPath, language, keepAlive, projectRoot?, scope?: 'notebook'|'project' }
+   */
+  router.post('/keep-alive', async (req, res) => {
+    try {
+      const { documentPath, language, keepAlive, projectRoot, scope = 'notebook' } = req.body;
+      if (!documentPath || !language || typeof keepAlive !== 'boolean') {
+        return res.status(400).json({ error: 'documentPath, language and keepAlive (boolean) required' });
+      }
+      if (!ctx.runtimePreferencesService) {
+        return res.status(400).json({ error: 'Runtime preferences are not available' });
+      }
+
+      const prefs = ctx.runtimePreferencesService;
+      const normalized = normalizeRuntimeLanguage(language);
+      if (scope === 'project') {
+        const context = await prefs.getContext(documentPath, projectRoot);
+        await prefs.setProjectOverride({ projectRoot: context.projectRoot, language: normalized, patch: { keepAlive } });
+      } else {
+        await prefs.setNotebookOverride({ documentPath, language: normalized, projectRoot, patch: { keepAlive } });
+      }
+
+      const effective = await prefs.getEffectiveForDocument({ documentPath, language: normalized, projectRoot });
+      ctx.runtimeReaper?.setKeepAlive(effective.sessionName, effective.keepAlive);
+      res.json({ sessionName: effective.sessionName, keepAlive: effective.keepAlive, effective });
+    } catch (err) {
+      console.error('[runtime:keep-alive]', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * GET /api/runtime/metrics
+   * Resource usage of every local runtime the caller may see, with totals
+   */
+  router.get('/metrics', (req, res) => {
+    try {
+      if (!ctx.runtimeMetrics) {
+        return res.status(400).json({ error: 'Runtime metrics are not available' });
+      }
+      res.json(ctx.runtimeMetrics.collectAll((session) => isRuntimeVisible(req.user, session)));
+    } catch (err) {
+      console.error('[runtime:metrics]', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * GET /api/runtime/:name/metrics
+   * Resource usage of one runtime: RSS, CPU%, uptime, child processes, ports
+   */
+  router.get('/:name/metrics', (req, res) => {
+    try {
+      if (!ctx.runtimeMetrics) {
+        return res.status(400).json({ error: 'Runtime metrics are not available' });
+      }
+      if (!checkRuntimeAllowed(req, res)) return;
+      const metrics = ctx.runtimeMetrics.collect(req.params.name);
+      if (!metrics) {
+        return res.status(404).json({ error: `Runtime not found: ${req.params.name}` });
+      }
+      res.json(metrics);
+    } catch (err) {
+      console.error('[runtime:metrics]', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * GET /api/runtime/:name/logs?lines=200&follow=1
+   * The end of a runtime's log (stdout/stderr), also after it exited:
+   * { name, path, lines }. With follow=1 or `Accept: text/event-stream`
+   * it streams as SSE instead: a `lines` event { lines } with the tail,
+   * then one per batch of new output (`rotated` {} when the log was
+   * rotated).
+   */
+  router.get('/:name/logs', (req, res) => {
+    try {
+      if (typeof runtimeService.readLog !== 'function') {
+        return res.status(400).json({ error: 'Runtime logs are not available' });
+      }
+      const { name } = req.params;
+      if (!checkRuntimeAllowed(req, res)) return;
+      const count = Math.min(5000, Math.max(1, parseInt(req.query.lines, 10) || 200));
+      const lines = runtimeService.readLog(name, count);
+      if (!lines) {
+        return res.status(404).json({ error: `No log for runtime: ${name}` });
+      }
+
+      const follow = req.query.follow === '1' || req.query.follow === 'true'
+        || (req.get('Accept') || '').includes('text/event-stream');
+      if (!follow) {
+        return res.json({ name, path: runtimeService.logPath(name), lines });
+      }
+
+      res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no',
+      });
+      res.flushHeaders();
+      const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      send('lines', { lines });
+
+      const logPath = runtimeService.logPath(name);
+      let offset = fs.statSync(logPath).size;
+      let partial = '';
+      let decoder = new StringDecoder('utf8');
+      let reading = false;
+
+      const poll = setInterval(async () => {
+        if (reading) return;
+        reading = true;
+        try {
+          const { size } = await fs.promises.stat(logPath);
+          if (size < offset) {
+            // Rotated (copied away and emptied)
+            offset = 0;
+            partial = '';
+            decoder = new StringDecoder('utf8');
+            send('rotated', {});
+          }
+          if (size > offset) {
+            const handle = await fs.promises.open(logPath, 'r');
+            try {
+              const buffer = Buffer.alloc(Math.min(size - offset, LOG_FOLLOW_MAX_READ));
+              await handle.read(buffer, 0, buffer.length, offset);
+              offset += buffer.length;
+              const text = partial + decoder.write(buffer);
+              const newLines = text.split('\n');
+              partial = newLines.pop();
+              if (newLines.length > 0) send('lines', { lines: newLines });
+            } finally {
+              await handle.close();
+            }
+          }
+        } catch {
+          // Log removed meanwhile; it comes back when the runtime restarts
+        } finally {
+          reading = false;
+        }
+      }, LOG_FOLLOW_INTERVAL);
+      const keepalive = setInterval(() => res.write(': keepalive\n\n'), LOG_KEEPALIVE_INTERVAL);
+
+      req.on('close', () => {
+        clearInterval(poll);
+        clearInterval(keepalive);
+      });
+    } catch (err) {
+      console.error('[runtime:logs]', err);
+      if (res.headersSent) return res.end();
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * GET /api/runtime/killed?name=
+   * Runtimes recently killed for exceeding a resource limit, newest first
+   * (for tokens with project roots, those whose cwd is within them)
+   */
+  router.get('/killed', (req, res) => {
+    const kills = runtimeService.recentKills?.(req.query.name) || [];
+    res.json({ kills: kills.filter((kill) => isRuntimeVisible(req.user, kill)) });
+  });
+
+  /**
+   * GET /api/runtime/limits
+   * Configured resource limits: { defaults: { language: limits },
+   * profiles: { language: { profileId: limits } } }
+   */
+  router.get('/limits', (req, res) => {
+    try {
+      if (!ctx.runtimePreferencesService) {
+        return res.json({ defaults: {}, profiles: {} });
+      }
+      res.json(ctx.runtimePreferencesService.listLimits());
+    } catch (err) {
+      console.error('[runtime:limits]', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * PUT /api/runtime/limits
+   * Set the resource limits of a language, or of one of its profiles.
+   * null limits clear them. Applies to runtimes started from now on.
+   * Body: { language, profileId?, limits: { memoryMb?, cpuSeconds?, maxProcesses? } | null }
+   */
+  router.put('/limits', (req, res) => {
+    try {
+      const { language, profileId, limits } = req.body;
+      if (!language || limits === undefined) {
+        return res.status(400).json({ error: 'language and limits required' });
+      }
+      if (limits !== null && typeof limits !== 'object') {
+        return res.status(400).json({ error: 'limits must be an object or null' });
+      }
+      if (!ctx.runtimePreferencesService) {
+        return res.status(400).json({ error: 'Runtime preferences are not available' });
+      }
+
+      const prefs = ctx.runtimePreferencesService;
+      const normalized = normalizeRuntimeLanguage(language);
+      if (profileId && !prefs.listProfiles(normalized).some((profile) => profile.id === profileId)) {
+        return res.status(404).json({ error: `Unknown ${normalized} profile: ${profileId}` });
+      }
+      res.json(prefs.setLimits({ language: normalized, profileId, limits }));
+    } catch (err) {
+      console.error('[runtime:limits]', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * GET /api/runtime/restart-policy
+   * Configured crash restart policies: { defaults: { language: policy },
+   * profiles: { language: { profileId: policy } } }
+   */
+  router.get('/restart-policy', (req, res) => {
+    try {
+      if (!ctx.runtimePreferencesService) {
+        return res.json({ defaults: {}, profiles: {} });
+      }
+      res.json(ctx.runtimePreferencesService.listRestartPolicies());
+    } catch (err) {
+      console.error('[runtime:restart-policy]', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * PUT /api/runtime/restart-policy
+   * Restart crashed runtimes of a language (or one of its profiles), or
+   * stop doing so with null. Applies to runtimes started from now on.
+   * Body: { language, profileId?, policy: { maxRestarts, backoffMs?, maxBackoffMs?, resetAfterMs? } | null }
+   */
+  router.put('/restart-policy', (req, res) => {
+    try {
+      const { language, profileId, policy } = req.body;
+      if (!language || policy === undefined) {
+        return res.status(400).json({ error: 'language and policy required' });
+      }
+      if (policy !== null && typeof policy !== 'object') {
+        return res.status(400).json({ error: 'policy must be an object or null' });
+      }
+      if (!ctx.runtimePreferencesService) {
+        return res.status(400).json({ error: 'Runtime preferences are not available' });
+      }
+
+      const prefs = ctx.runtimePreferencesService;
+      const normalized = normalizeRuntimeLanguage(language);
+      if (profileId && !prefs.listProfiles(normalized).some((profile) => profile.id === profileId)) {
+        return res.status(404).json({ error: `Unknown ${normalized} profile: ${profileId}` });
+      }
+      res.json(prefs.setRestartPolicy({ language: normalized, profileId, policy }));
+    } catch (err) {
+      console.error('[runtime:restart-policy]', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * GET /api/runtime/env?documentPath=&projectRoot=
+   * Environment variables runtimes are started with, per scope:
+   * { global, project?, notebook? }, each [{ name, secret: false, value }
+   * | { name, secret: true, stored }]. Secret values are never returned.
+   */
+  router.get('/env', async (req, res) => {
+    try {
+      if (!ctx.runtimePreferencesService) {
+        return res.json({ global: [] });
+      }
+      const { documentPath, projectRoot } = req.query;
+      res.json(await ctx.runtimePreferencesService.listEnv({ documentPath, projectRoot }));
+    } catch (err) {
+      console.error('[runtime:env]', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * PUT /api/runtime/env/:scope
+   * Set an environment variable at the global, project or notebook scope.
+   * Applies to runtimes started from now on (a restart keeps the values
+   * the runtime was started with).
+   * Body: { name, value, secret?, documentPath?, projectRoot? }
+   *   (project needs projectRoot or documentPath, notebook documentPath)
+   * Returns the scope's variables, as GET /api/runtime/env
+   */
+  router.put('/env/:scope', async (req, res) => {
+    try {
+      const { scope } = req.params;
+      const { name, value, secret = false, documentPath, projectRoot } = req.body;
+      const problem = envRequestProblem(scope, name, { documentPath, projectRoot });
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+      if (typeof value !== 'string') {
+        return res.status(400).json({ error: 'value (string) required' });
+      }
+      if (!ctx.runtimePreferencesService) {
+        return res.status(400).json({ error: 'Runtime preferences are not available' });
+      }
+
+      const variables = await ctx.runtimePreferencesService.setEnv({
+        scope, documentPath, projectRoot, name, value, secret: Boolean(secret),
+      });
+      res.json({ scope, variables });
+    } catch (err) {
+      console.error('[runtime:env]', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * DELETE /api/runtime/env/:scope/:name?documentPath=&projectRoot=
+   * Remove an environment variable (and its stored secret)
+   */
+  router.delete('/env/:scope/:name', async (req, res) => {
+    try {
+      const { scope, name } = req.params;
+      const { documentPath, projectRoot } = req.query;
+      const problem = envRequestProblem(scope, name, { documentPath, projectRoot });
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+      if (!ctx.runtimePreferencesService) {
+        return res.status(400).json({ error: 'Runtime preferences are not available' });
+      }
+
+      const removed = await ctx.runtimePreferencesService.deleteEnv({ scope, documentPath, projectRoot, name });
+      if (!removed) {
+        return res.status(404).json({ error: `No ${scope} variable ${name}` });
+      }
+      res.json({ success: true });
+    } catch (err) {
+      console.error('[runtime:env]', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
   /**
    * GET /api/runtime/available/:language
    * Check if a language runtime is available.
@@ -352,10 +810,17 @@ export function createRuntimeRoutes(ctx) {
   });
 
   /**
-   * GET /api/runtime/languages
-   * List all supported languages.
+   * GET /api/runtime/languages?detail=1
+   * List all supported languages, built-in and from the custom runtimes file.
+   * With detail: { languages: [{ language, aliases, custom, available, error? }], errors }
    */
   router.get('/languages', (req, res) => {
+    if (req.query.detail === '1' || req.query.detail === 'true') {
+      return res.json({
+        languages: runtimeService.describeLanguages(),
+        errors: runtimeService.customRuntimeErrors || [],
+      });
+    }
     res.json(runtimeService.supportedLanguages());
   });
 
@@ -3,12 +3,16 @@
  *
  * Mirrors electronAPI.settings.*
  * Settings are stored at ~/.config/mrmd/settings.json (same as Electron)
+ *
+ * API keys are the exception: they live encrypted in ctx.secretStore and
+ * are only returned masked, except by the admin-only key routes.
  */
 
 import { Router } from 'express';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import { maskSecret } from '../secret-store.js';
 
 // Configuration
 const CONFIG_DIR = path.join(os.homedir(), '.config', 'mrmd');
@@ -227,6 +231,42 @@ function setByPath(obj, keyPath, value) {
  */
 export function createSettingsRoutes(ctx) {
   const router = Router();
+  const { secretStore } = ctx;
+
+  function getApiKeys(masked) {
+    const keys = { ...DEFAULT_SETTINGS.apiKeys, ...secretStore.getApiKeys() };
+    if (!masked) return keys;
+    return Object.fromEntries(Object.entries(keys).map(([provider, key]) => [provider, maskSecret(key)]));
+  }
+
+  /** Settings as returned to clients: API keys masked */
+  function publicSettings() {
+    return { ...loadSettings(), apiKeys: getApiKeys(true) };
+  }
+
+  /**
+   * Send writes to "apiKeys" / "apiKeys.<provider>" to the secret store.
+   * Masked values (as returned by GET) are ignored so round-trips are safe.
+   * @returns {boolean} Whether the write was handled
+   */
+  function setSecretPath(keyPath, value) {
+    const setKey = (provider, key) => {
+      if (typeof key === 'string' && key.includes('•')) return;
+      secretStore.setApiKey(provider, key || '');
+    };
+
+    if (keyPath.startsWith('apiKeys.')) {
+      setKey(keyPath.slice('apiKeys.'.length), value);
+      return true;
+    }
+    if (keyPath === 'apiKeys') {
+      for (const [provider, key] of Object.entries(value || {})) {
+        setKey(provider, key);
+      }
+      return true;
+    }
+    return false;
+  }
 
   /**
    * GET /api/settings
@@ -234,7 +274,7 @@ export function createSettingsRoutes(ctx) {
    */
   router.get('/', (req, res) => {
     try {
-      res.json(loadSettings());
+      res.json(publicSettings());
     } catch (err) {
       console.error('[settings:getAll]', err);
       res.status(500).json({ error: err.message });
@@ -252,8 +292,7 @@ export function createSettingsRoutes(ctx) {
         return res.status(400).json({ error: 'path query parameter required' });
       }
 
-      const settings = loadSettings();
-      const value = getByPath(settings, keyPath, defaultValue);
+      const value = getByPath(publicSettings(), keyPath, defaultValue);
       res.json({ value });
     } catch (err) {
       console.error('[settings:get]', err);
@@ -272,6 +311,10 @@ export function createSettingsRoutes(ctx) {
         return res.status(400).json({ error: 'key required' });
       }
 
+      if (setSecretPath(key, value)) {
+        return res.json({ success: true });
+      }
+
       const settings = loadSettings();
       setByPath(settings, key, value);
       const success = saveSettings();
@@ -295,7 +338,9 @@ export function createSettingsRoutes(ctx) {
 
       const settings = loadSettings();
       for (const [keyPath, value] of Object.entries(updates)) {
-        setByPath(settings, keyPath, value);
+        if (!setSecretPath(keyPath, value)) {
+          setByPath(settings, keyPath, value);
+        }
       }
       const success = saveSettings();
       res.json({ success });
@@ -312,6 +357,9 @@ export function createSettingsRoutes(ctx) {
   router.post('/reset', (req, res) => {
     try {
       settingsCache = { ...DEFAULT_SETTINGS };
+      for (const provider of Object.keys(secretStore.getApiKeys())) {
+        secretStore.setApiKey(provider, '');
+      }
       const success = saveSettings();
       res.json({ success });
     } catch (err) {
@@ -331,26 +379,7 @@ export function createSettingsRoutes(ctx) {
   router.get('/api-keys', (req, res) => {
     try {
       const masked = req.query.masked !== 'false';
-      const settings = loadSettings();
-      const keys = settings.apiKeys || {};
-
-      if (!masked) {
-        return res.json(keys);
-      }
-
-      // Mask keys for display
-      const maskedKeys = {};
-      for (const [provider, key] of Object.entries(keys)) {
-        if (key && key.length > 12) {
-          maskedKeys[provider] = `${key.slice(0, 8)}${'•'.repeat(key.length - 12)}${key.slice(-4)}`;
-        } else if (key) {
-          maskedKeys[provider] = '•'.repeat(key.length);
-        } else {
-          maskedKeys[provider] = '';
-        }
-      }
-
-      res.json(maskedKeys);
+      res.json(getApiKeys(masked));
     } catch (err) {
       console.error('[settings:getApiKeys]', err);
       res.status(500).json({ error: err.message });
@@ -368,13 +397,8 @@ export function createSettingsRoutes(ctx) {
         return res.status(400).json({ error: 'provider required' });
       }
 
-      const settings = loadSettings();
-      if (!settings.apiKeys) {
-        settings.apiKeys = {};
-      }
-      settings.apiKeys[provider] = key || '';
-      const success = saveSettings();
-      res.json({ success });
+      secretStore.setApiKey(provider, key || '');
+      res.json({ success: true });
     } catch (err) {
       console.error('[settings:setApiKey]', err);
       res.status(500).json({ error: err.message });
@@ -388,9 +412,7 @@ export function createSettingsRoutes(ctx) {
   router.get('/api-key/:provider', (req, res) => {
     try {
       const { provider } = req.params;
-      const settings = loadSettings();
-      const key = settings.apiKeys?.[provider] || '';
-      res.json({ key });
+      res.json({ key: secretStore.getApiKey(provider) });
     } catch (err) {
       console.error('[settings:getApiKey]', err);
       res.status(500).json({ error: err.message });
@@ -404,9 +426,7 @@ export function createSettingsRoutes(ctx) {
   router.get('/api-key/:provider/exists', (req, res) => {
     try {
       const { provider } = req.params;
-      const settings = loadSettings();
-      const key = settings.apiKeys?.[provider] || '';
-      res.json({ hasKey: key.length > 0 });
+      res.json({ hasKey: secretStore.getApiKey(provider).length > 0 });
     } catch (err) {
       console.error('[settings:hasApiKey]', err);
       res.status(500).json({ error: err.message });
@@ -738,7 +758,7 @@ export function createSettingsRoutes(ctx) {
         return res.json({ json: JSON.stringify(exported, null, 2) });
       }
 
-      res.json({ json: JSON.stringify(settings, null, 2) });
+      res.json({ json: JSON.stringify({ ...settings, apiKeys: getApiKeys(false) }, null, 2) });
     } catch (err) {
       console.error('[settings:export]', err);
       res.status(500).json({ error: err.message });
@@ -762,11 +782,11 @@ export function createSettingsRoutes(ctx) {
         return res.status(400).json({ error: 'Invalid settings format' });
       }
 
-      // Preserve existing keys if not merging
-      if (!mergeKeys) {
-        const currentSettings = loadSettings();
-        imported.apiKeys = currentSettings.apiKeys || {};
+      // Imported keys go to the secret store; settings.json keeps placeholders
+      if (mergeKeys) {
+        setSecretPath('apiKeys', imported.apiKeys);
       }
+      imported.apiKeys = loadSettings().apiKeys || {};
 
       // Merge with defaults and save
       settingsCache = mergeWithDefaults(imported);
@@ -431,7 +431,7 @@ export function createSystemRoutes(ctx) {
   router.post('/discover-venvs', async (req, res) => {
     try {
       const { projectDir } = req.body;
-      const searchDir = projectDir || ctx.projectDir;
+      const searchDir = ctx.pathGuard.check(projectDir || ctx.projectDir);
 
       // Start async discovery
       discoverVenvs(searchDir, ctx.eventBus);
@@ -439,7 +439,7 @@ export function createSystemRoutes(ctx) {
       res.json({ started: true, searchDir });
     } catch (err) {
       console.error('[system:discover-venvs]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
@@ -455,7 +455,7 @@ export function createSystemRoutes(ctx) {
         return res.status(400).json({ error: 'venvPath required' });
       }
 
-      const resolvedPath = path.resolve(venvPath);
+      const resolvedPath = ctx.pathGuard.resolve(ctx.projectDir, venvPath);
 
       // Check if venv already exists
       if (existsSync(path.join(resolvedPath, 'bin', 'activate'))) {
@@ -537,7 +537,7 @@ export function createSystemRoutes(ctx) {
       }
     } catch (err) {
       console.error('[system:create-venv]', err);
-      res.status(500).json({ success: false, error: err.message });
+      res.status(err.status || 500).json({ success: false, error: err.message });
     }
   });
 
@@ -553,7 +553,7 @@ export function createSystemRoutes(ctx) {
         return res.status(400).json({ error: 'venvPath required' });
       }
 
-      const resolvedPath = path.resolve(ctx.projectDir, venvPath);
+      const resolvedPath = ctx.pathGuard.resolve(ctx.projectDir, venvPath);
       const pipPath = path.join(resolvedPath, 'bin', 'pip');
 
       // Install dependencies
@@ -579,7 +579,7 @@ export function createSystemRoutes(ctx) {
       res.json({ success: true, output: stdout });
     } catch (err) {
       console.error('[system:install-mrmd-python]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
@@ -619,7 +619,7 @@ export function createSystemRoutes(ctx) {
 /**
  * Async venv discovery
  */
-async function discoverVenvs(searchDir, eventBus, maxDepth = 4, currentDepth = 0) {
+async function discoverVenvs(searchDir, eventBus, maxDepth = 4, currentDepth = 0, rootDir = searchDir) {
   if (currentDepth > maxDepth) return;
 
   try {
@@ -660,14 +660,14 @@ async function discoverVenvs(searchDir, eventBus, maxDepth = 4, currentDepth = 0
           name: entry.name,
           python: pythonPath,
           version,
-        });
+        }, rootDir);
 
         // Don't recurse into venvs
         continue;
       } catch {}
 
       // Recurse into directory
-      await discoverVenvs(fullPath, eventBus, maxDepth, currentDepth + 1);
+      await discoverVenvs(fullPath, eventBus, maxDepth, currentDepth + 1, rootDir);
     }
   } catch (err) {
     console.error('[discover-venvs]', err.message);
@@ -675,6 +675,6 @@ async function discoverVenvs(searchDir, eventBus, maxDepth = 4, currentDepth = 0
 
   // If this is the root call, emit done
   if (currentDepth === 0) {
-    eventBus.venvScanDone();
+    eventBus.venvScanDone(rootDir);
   }
 }
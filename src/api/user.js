@@ -1,6 +1,8 @@
 /**
- * User info API — exposes the logged-in user's identity in cloud mode.
- * Data comes from environment variables set by the orchestrator.
+ * User info API — exposes the current user's identity.
+ *
+ * In cloud mode, data comes from environment variables set by the
+ * orchestrator. Otherwise it is the identity the request's token resolved to.
  */
 
 import { Router } from 'express';
@@ -8,11 +10,19 @@ import { Router } from 'express';
 export function createUserRoutes() {
   const router = Router();
 
-  // GET /api/user/me — return current user info (cloud mode only)
+  // GET /api/user/me — return current user info
   router.get('/me', (req, res) => {
     const cloudMode = process.env.CLOUD_MODE === '1';
     if (!cloudMode) {
-      return res.status(404).json({ error: 'Not in cloud mode' });
+      if (!req.user) {
+        return res.status(404).json({ error: 'Not in cloud mode' });
+      }
+      return res.json({
+        id: req.user.id,
+        name: req.user.name,
+        admin: !!req.user.admin,
+        tokenId: req.user.tokenId,
+      });
     }
 
     res.json({
@@ -16,17 +16,28 @@ import { WebSocket } from 'ws';
 import fs from 'fs';
 import os from 'os';
 import path from 'path';
+import { getSecretStore } from '../secret-store.js';
 
 // Settings file location (shared with settings.js)
 const CONFIG_DIR = path.join(os.homedir(), '.config', 'mrmd');
 const SETTINGS_FILE = path.join(CONFIG_DIR, 'settings.json');
 
+/**
+ * Read settings, with API keys from the encrypted secret store
+ */
 function readSettings() {
+  let settings = {};
   try {
-    return JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf-8'));
+    settings = JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf-8'));
   } catch {
-    return {};
+    // Defaults
+  }
+  try {
+    settings.apiKeys = { ...settings.apiKeys, ...getSecretStore().getApiKeys() };
+  } catch (err) {
+    console.warn('[voice] Failed to read API keys:', err.message);
   }
+  return settings;
 }
 
 // ============================================================================
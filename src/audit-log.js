@@ -0,0 +1,178 @@
+/**
+ * AuditLog — append-only JSONL record of mutating API calls
+ *
+ * Every write, move or delete of a file or asset, every runtime start/stop,
+ * every settings or API-key change and every code execution through
+ * `/proxy` is appended to ~/.config/mrmd/audit.jsonl with who did it, from
+ * where, what it touched and how it ended. Denied attempts are recorded
+ * too. Entries are never rewritten; `query()` scans the file for the admin
+ * API.
+ *
+ * Entry shape:
+ *   { ts, user, tokenId, ip, method, route, target, status, result }
+ *   result is 'ok', 'denied' (401/403/429) or 'error'
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { CONFIG_DIR } from './vendor/config.js';
+import { collectRequestPaths } from './auth.js';
+import { parseTtl } from './user-store.js';
+
+export const AUDIT_FILE = path.join(CONFIG_DIR, 'audit.jsonl');
+
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+/** Default and maximum number of entries returned by query() */
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 5000;
+
+/**
+ * Classify an HTTP status for the audit trail
+ * @param {number} status
+ * @returns {'ok'|'denied'|'error'}
+ */
+function resultFor(status) {
+  if (status === 401 || status === 403 || status === 429) return 'denied';
+  return status < 400 ? 'ok' : 'error';
+}
+
+/**
+ * Parse a time filter: an ISO date, epoch milliseconds, or a duration
+ * ago such as "30m", "12h", "7d"
+ * @param {string|number} [value]
+ * @returns {number|null} Epoch milliseconds
+ */
+export function parseTimeFilter(value) {
+  if (value == null || value === '') return null;
+  if (/^\d+\s*[smhd]$/i.test(String(value).trim())) {
+    return Date.now() - parseTtl(value);
+  }
+  const ms = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(ms)) {
+    throw new Error(`Invalid time "${value}" (expected ISO date, epoch ms, or e.g. 30m, 12h, 7d)`);
+  }
+  return ms;
+}
+
+export class AuditLog {
+  /**
+   * @param {string} [filePath] - JSONL file (default: ~/.config/mrmd/audit.jsonl)
+   */
+  constructor(filePath = AUDIT_FILE) {
+    this.filePath = filePath;
+    this.stream = null;
+  }
+
+  _open() {
+    if (!this.stream) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      this.stream = fs.createWriteStream(this.filePath, { flags: 'a', mode: 0o600 });
+      this.stream.on('error', (err) => {
+        console.error('[audit] Failed to write audit log:', err.message);
+      });
+    }
+    return this.stream;
+  }
+
+  /**
+   * Append an entry
+   * @param {Object} entry
+   */
+  record(entry) {
+    const line = JSON.stringify({ ts: new Date().toISOString(), ...entry });
+    this._open().write(line + '\n');
+  }
+
+  /**
+   * Express middleware recording mutating requests once they finish.
+   * Mount it before the auth middleware so denied attempts are captured.
+   * @param {Object} [options]
+   * @param {string|null} [options.projectDir] - Base for relative request paths
+   * @param {(req: import('express').Request) => boolean} [options.filter] - Which
+   *   requests to record (default: non-GET)
+   * @param {(req: import('express').Request) => string|string[]|null} [options.target] -
+   *   What the request acts on (default: the paths in its query/body)
+   */
+  middleware({ projectDir = null, filter, target } = {}) {
+    const shouldRecord = filter || ((req) => !READ_METHODS.has(req.method));
+    const targetOf = target || ((req) => collectRequestPaths(req, projectDir));
+
+    return (req, res, next) => {
+      if (!shouldRecord(req)) return next();
+
+      res.on('finish', () => {
+        // Denied requests never get req.user; the auth middleware leaves the
+        // identity it resolved (if any) in res.locals
+        const identity = req.user || res.locals.identity || null;
+        let targets;
+        try {
+          targets = targetOf(req);
+        } catch {
+          targets = null;
+        }
+
+        this.record({
+          user: identity?.id ?? null,
+          tokenId: identity?.tokenId ?? null,
+          ip: req.ip,
+          method: req.method,
+          route: req.originalUrl.split('?')[0],
+          target: Array.isArray(targets) && targets.length <= 1 ? (targets[0] ?? null) : targets,
+          status: res.statusCode,
+          result: resultFor(res.statusCode),
+        });
+      });
+
+      next();
+    };
+  }
+
+  /**
+   * Read entries back, newest first
+   * @param {Object} [filters]
+   * @param {string|number} [filters.since] - See parseTimeFilter
+   * @param {string|number} [filters.until] - See parseTimeFilter
+   * @param {string} [filters.user] - User id
+   * @param {number} [filters.limit]
+   * @returns {Promise<Object[]>}
+   */
+  async query({ since, until, user, limit } = {}) {
+    const from = parseTimeFilter(since);
+    const to = parseTimeFilter(until);
+    const max = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    if (!fs.existsSync(this.filePath)) return [];
+
+    const matches = [];
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.filePath, 'utf-8'),
+      crlfDelay: Infinity,
+    });
+
+    for await (const line of lines) {
+      if (!line) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      const ts = Date.parse(entry.ts);
+      if (from !== null && ts < from) continue;
+      if (to !== null && ts > to) continue;
+      if (user && entry.user !== user) continue;
+
+      matches.push(entry);
+      if (matches.length > max) matches.shift();
+    }
+
+    return matches.reverse();
+  }
+
+  close() {
+    this.stream?.end();
+    this.stream = null;
+  }
+}
@@ -1,8 +1,78 @@
 /**
  * Token-based authentication
+ *
+ * Tokens resolve to an identity through a UserStore: the server's primary
+ * token maps to the owner, and per-user tokens map to named users.
+ * Authenticated requests get `req.user` set to that identity.
+ *
+ * Each identity carries scopes (read, write, execute, admin) and an optional
+ * list of project roots. Both are enforced here, centrally, rather than in
+ * individual route modules.
+ *
+ * Browsers authenticate with a session cookie instead (see session-store.js);
+ * cookie-authenticated requests must pass the CSRF check on mutating methods.
+ *
+ * With an AuthThrottle (see rate-limit.js), failed token attempts lock the
+ * client IP out and each token is rate limited; both answer 429.
  */
 
 import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import { SCOPES } from './user-store.js';
+import { SESSION_COOKIE, parseCookies } from './session-store.js';
+import { sendTooManyRequests } from './rate-limit.js';
+import { realpathLenient } from './path-guard.js';
+
+/** Identity attached to requests when auth is disabled (--no-auth) */
+const ANONYMOUS_OWNER = {
+  id: 'owner',
+  name: 'Owner',
+  tokenId: null,
+  scopes: [...SCOPES],
+  projectRoots: null,
+  admin: true,
+};
+
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+/**
+ * Scope rules for /api routes, matched against the path below /api.
+ * First match wins; anything unmatched needs `read` for GET/HEAD and
+ * `write` otherwise.
+ *
+ * `methods: 'mutating'` restricts a rule to non-GET requests.
+ */
+const API_SCOPE_RULES = [
+  { pattern: /^\/admin(\/|$)/, scope: 'admin' },
+  // API keys and full settings exports are secrets
+  { pattern: /^\/settings\/api-key\/[^/]+\/exists$/, scope: 'read' },
+  { pattern: /^\/settings\/(api-keys?|export)(\/|$)/, scope: 'admin' },
+  { pattern: /^\/settings(\/|$)/, methods: 'mutating', scope: 'admin' },
+  // Resource limits and restart policies protect the whole machine
+  { pattern: /^\/runtime\/(limits|restart-policy)$/, methods: 'mutating', scope: 'admin' },
+  // Global runtime variables reach every project's runtimes
+  { pattern: /^\/runtime\/env\/global(\/|$)/, methods: 'mutating', scope: 'admin' },
+  // Anything that spawns processes or runs code
+  { pattern: /^\/(runtime|voice)(\/|$)/, methods: 'mutating', scope: 'execute' },
+  { pattern: /^\/notebook\/run$/, methods: 'mutating', scope: 'execute' },
+  { pattern: /^\/jobs(\/|$)/, methods: 'mutating', scope: 'execute' },
+  { pattern: /^\/system\/(ensure-uv|ai\/restart|create-venv|install-mrmd-python|shell)(\/|$)/, methods: 'mutating', scope: 'execute' },
+  // POSTs that viewers need to open and follow documents
+  { pattern: /^\/project\/(sync|watch|unwatch|invalidate)(\/|$)/, methods: 'mutating', scope: 'read' },
+  { pattern: /^\/notebook\/(start|stop)-sync$/, methods: 'mutating', scope: 'read' },
+  { pattern: /^\/presence\/focus$/, methods: 'mutating', scope: 'read' },
+  { pattern: /^\/(languagetool\/check|system\/recent|system\/discover-venvs)$/, methods: 'mutating', scope: 'read' },
+];
+
+/** Route families whose handlers fall back to the server's projectDir */
+const PROJECT_SCOPED_PREFIX = /^\/(file|asset|project|notebook|browse)(\/|$)/;
+
+/** Request fields (query or JSON body) that carry filesystem paths */
+const PATH_FIELDS = [
+  'path', 'filePath', 'fromPath', 'toPath', 'sourcePath', 'targetPath',
+  'projectRoot', 'projectDir', 'root', 'documentPath', 'ipynbPath', 'cwd',
+];
 
 /**
  * Generate a random token
@@ -12,49 +82,319 @@ export function generateToken() {
   return crypto.randomBytes(24).toString('base64url');
 }
 
+/**
+ * Extract a token from an HTTP or WebSocket upgrade request
+ *
+ * Looks at ?token=, Authorization: Bearer and X-Token (in that order).
+ * Works for raw upgrade requests, which have no req.query. Cookies are
+ * handled separately as sessions, since they need CSRF protection.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @returns {string|null}
+ */
+export function extractToken(req) {
+  let queryToken = req.query?.token;
+  if (!queryToken && req.url) {
+    queryToken = new URL(req.url, 'http://localhost').searchParams.get('token');
+  }
+
+  return (
+    queryToken ||
+    req.headers?.authorization?.replace('Bearer ', '') ||
+    req.headers?.['x-token'] ||
+    null
+  );
+}
+
+/**
+ * Resolve a token to an identity
+ * @param {string|null} token
+ * @param {import('./user-store.js').UserStore} userStore
+ * @param {boolean} noAuth
+ * @returns {Object|null} Identity, or null if the token is missing/invalid
+ */
+export function resolveIdentity(token, userStore, noAuth = false) {
+  if (noAuth) return ANONYMOUS_OWNER;
+  return userStore.resolve(token);
+}
+
+/**
+ * Look up the session referenced by a request's cookie
+ * @param {import('http').IncomingMessage} req
+ * @param {import('./session-store.js').SessionStore} [sessions]
+ * @returns {Object|null}
+ */
+export function getRequestSession(req, sessions) {
+  if (!sessions) return null;
+  const cookies = req.cookies || parseCookies(req.headers?.cookie);
+  return sessions.get(cookies[SESSION_COOKIE]);
+}
+
+/**
+ * Check that a cookie-authenticated WebSocket upgrade comes from our own
+ * origin. Browsers attach cookies to cross-site WebSocket handshakes, and
+ * CSRF headers can't be set on them, so the Origin header is the guard.
+ * @param {import('http').IncomingMessage} req
+ * @returns {boolean}
+ */
+function isSameOriginUpgrade(req) {
+  const origin = req.headers?.origin;
+  if (!origin) return true; // non-browser client
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check whether an identity holds a scope (admin implies every scope)
+ * @param {Object|null} identity
+ * @param {string} scope
+ * @returns {boolean}
+ */
+export function hasScope(identity, scope) {
+  const scopes = identity?.scopes || [];
+  return scopes.includes(scope) || scopes.includes('admin');
+}
+
+/**
+ * Scope required for an /api request
+ * @param {string} method - HTTP method
+ * @param {string} apiPath - Path below /api (e.g. "/file/write")
+ * @returns {string}
+ */
+export function requiredScope(method, apiPath) {
+  const mutating = !READ_METHODS.has(method);
+  for (const rule of API_SCOPE_RULES) {
+    if (rule.methods === 'mutating' && !mutating) continue;
+    if (rule.pattern.test(apiPath)) return rule.scope;
+  }
+  return mutating ? 'write' : 'read';
+}
+
+/**
+ * Check whether a path lies inside one of the identity's project roots.
+ * Like PathGuard, both sides are compared after resolving symlinks.
+ * @param {Object|null} identity
+ * @param {string} targetPath - Absolute path
+ * @returns {boolean} Always true for identities without a restriction
+ */
+export function isPathAllowed(identity, targetPath) {
+  const roots = identity?.projectRoots;
+  if (!roots || roots.length === 0) return true;
+  const resolved = realpathLenient(path.resolve(targetPath));
+  return roots.some((root) => {
+    const realRoot = realpathLenient(path.resolve(root));
+    return resolved === realRoot || resolved.startsWith(realRoot + path.sep);
+  });
+}
+
+/**
+ * Collect the absolute filesystem paths a request refers to
+ * @param {import('express').Request} req
+ * @param {string|null} baseDir - Server projectDir used for relative paths
+ * @returns {string[]}
+ */
+export function collectRequestPaths(req, baseDir) {
+  const sources = [req.query || {}, (req.body && typeof req.body === 'object') ? req.body : {}];
+  const base = sources.map((src) => src.projectRoot || src.root).find(Boolean) || baseDir || process.cwd();
+
+  const paths = [];
+  for (const src of sources) {
+    for (const field of PATH_FIELDS) {
+      const value = src[field];
+      if (typeof value !== 'string' || value === '') continue;
+      if (value === '~') {
+        paths.push(os.homedir());
+      } else {
+        paths.push(path.isAbsolute(value) ? value : path.resolve(base, value));
+      }
+    }
+    // relativePath is relative to the request's project root
+    if (typeof src.relativePath === 'string') {
+      paths.push(path.resolve(base, src.relativePath));
+    }
+  }
+
+  return paths;
+}
+
 /**
  * Create authentication middleware
- * @param {string} validToken - The valid token
+ * @param {import('./user-store.js').UserStore} userStore - Resolves tokens to users
  * @param {boolean} noAuth - If true, skip auth
+ * @param {Object} [options]
+ * @param {string|null} [options.projectDir] - Base for relative request paths
+ * @param {(req: import('express').Request) => string} [options.scopeFor] - Override the
+ *   required scope (defaults to the /api rules)
+ * @param {import('./session-store.js').SessionStore} [options.sessions] - Accept
+ *   session cookies (with CSRF checks) in addition to tokens
+ * @param {import('./rate-limit.js').AuthThrottle} [options.throttle] - Lock out
+ *   IPs guessing tokens and rate limit each token
  */
-export function createAuthMiddleware(validToken, noAuth = false) {
+export function createAuthMiddleware(userStore, noAuth = false, options = {}) {
+  const {
+    projectDir = null,
+    scopeFor = (req) => requiredScope(req.method, req.path),
+    sessions = null,
+    throttle = null,
+  } = options;
+
   return (req, res, next) => {
     if (noAuth) {
+      req.user = ANONYMOUS_OWNER;
       return next();
     }
 
-    // Check for token in query string, header, or cookie
-    const token =
-      req.query.token ||
-      req.headers.authorization?.replace('Bearer ', '') ||
-      req.headers['x-token'] ||
-      req.cookies?.token;
+    const token = extractToken(req);
+    let identity = null;
 
-    if (!token) {
-      return res.status(401).json({
-        error: 'Authentication required',
-        message: 'Provide token via ?token=, Authorization header, or X-Token header',
-      });
+    if (token) {
+      const ip = throttle?.ipOf(req);
+      const lockedFor = throttle?.lockedFor(ip);
+      if (lockedFor) {
+        return sendTooManyRequests(res, lockedFor, 'Too many failed authentication attempts');
+      }
+
+      identity = userStore.resolve(token);
+      if (!identity) {
+        throttle?.recordFailure(ip);
+        return res.status(403).json({
+          error: 'Invalid token',
+        });
+      }
+    } else {
+      const session = getRequestSession(req, sessions);
+      if (!session) {
+        return res.status(401).json({
+          error: 'Authentication required',
+          message: 'Log in, or provide token via ?token=, Authorization header, or X-Token header',
+        });
+      }
+      if (!READ_METHODS.has(req.method) && !sessions.checkCsrf(session, req)) {
+        console.warn(`[auth] Rejected ${req.method} ${req.originalUrl.split('?')[0]} from ${session.identity.id}: bad CSRF token`);
+        return res.status(403).json({
+          error: 'CSRF token missing or invalid',
+        });
+      }
+      identity = session.identity;
+    }
+
+    // Lets the audit log attribute requests that are denied below
+    res.locals.identity = identity;
+
+    const retryAfter = throttle?.consume(identity.tokenId);
+    if (retryAfter) {
+      return sendTooManyRequests(res, retryAfter, 'Rate limit exceeded');
     }
 
-    if (token !== validToken) {
+    const scope = scopeFor(req);
+    if (!hasScope(identity, scope)) {
+      console.warn(`[auth] ${identity.id} lacks "${scope}" scope for ${req.method} ${req.originalUrl.split('?')[0]}`);
       return res.status(403).json({
-        error: 'Invalid token',
+        error: 'Insufficient scope',
+        required: scope,
       });
     }
 
+    if (identity.projectRoots) {
+      const paths = collectRequestPaths(req, projectDir);
+      if (paths.length === 0 && projectDir && PROJECT_SCOPED_PREFIX.test(req.path)) {
+        paths.push(projectDir);
+      }
+      const denied = paths.find((p) => !isPathAllowed(identity, p));
+      if (denied) {
+        console.warn(`[auth] ${identity.id} denied access outside project roots: ${denied}`);
+        return res.status(403).json({
+          error: 'Path outside allowed project roots',
+        });
+      }
+    }
+
+    req.user = identity;
     next();
   };
 }
 
+/**
+ * Middleware that only lets the owner (admin) through
+ */
+export function requireAdmin(req, res, next) {
+  if (!hasScope(req.user, 'admin')) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+}
+
 /**
  * Validate token for WebSocket connections
  * @param {string} providedToken
- * @param {string} validToken
+ * @param {import('./user-store.js').UserStore} userStore
  * @param {boolean} noAuth
- * @returns {boolean}
+ * @returns {Object|null} Identity, or null if the token is invalid
+ */
+export function validateWsToken(providedToken, userStore, noAuth) {
+  return resolveIdentity(providedToken, userStore, noAuth);
+}
+
+/**
+ * Resolve the identity behind a WebSocket upgrade: an explicit token, or a
+ * session cookie from a same-origin page
+ * @param {import('http').IncomingMessage} req
+ * @param {import('./user-store.js').UserStore} userStore
+ * @param {boolean} noAuth
+ * @param {import('./session-store.js').SessionStore} [sessions]
+ * @returns {Object|null}
  */
-export function validateWsToken(providedToken, validToken, noAuth) {
-  if (noAuth) return true;
-  return providedToken === validToken;
+export function resolveUpgradeIdentity(req, userStore, noAuth, sessions) {
+  if (noAuth) return ANONYMOUS_OWNER;
+
+  const token = extractToken(req);
+  if (token) return userStore.resolve(token);
+
+  const session = getRequestSession(req, sessions);
+  if (!session) return null;
+  if (!isSameOriginUpgrade(req)) {
+    console.warn(`[auth] Rejected cross-origin WebSocket from ${req.headers.origin}`);
+    return null;
+  }
+  return session.identity;
+}
+
+/**
+ * Authenticate a WebSocket upgrade, applying the throttle's lockout and
+ * rate limit
+ * @param {import('http').IncomingMessage} req
+ * @param {Object} options
+ * @param {import('./user-store.js').UserStore} options.userStore
+ * @param {boolean} options.noAuth
+ * @param {import('./session-store.js').SessionStore} [options.sessions]
+ * @param {import('./rate-limit.js').AuthThrottle} [options.throttle]
+ * @returns {{ identity: Object } | { status: number, reason: string, retryAfter?: number }}
+ */
+export function authenticateUpgrade(req, { userStore, noAuth, sessions, throttle }) {
+  if (noAuth) return { identity: ANONYMOUS_OWNER };
+
+  const hasToken = Boolean(extractToken(req));
+  const ip = throttle?.ipOf(req);
+  if (hasToken) {
+    const lockedFor = throttle?.lockedFor(ip);
+    if (lockedFor) {
+      return { status: 429, reason: 'Too Many Requests', retryAfter: lockedFor };
+    }
+  }
+
+  const identity = resolveUpgradeIdentity(req, userStore, noAuth, sessions);
+  if (!identity) {
+    if (hasToken) throttle?.recordFailure(ip);
+    return { status: 401, reason: 'Unauthorized' };
+  }
+
+  const retryAfter = throttle?.consume(identity.tokenId);
+  if (retryAfter) {
+    return { status: 429, reason: 'Too Many Requests', retryAfter };
+  }
+
+  return { identity };
 }
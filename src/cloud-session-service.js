@@ -138,6 +138,26 @@ class CloudSessionService {
     return ['python', ...this.localService.supportedLanguages().filter(l => l !== 'python')];
   }
 
+  /**
+   * Supported languages with aliases and availability (python is the cloud runtime).
+   */
+  describeLanguages() {
+    return this.localService.describeLanguages().map((entry) => (
+      this._isCloudLanguage(entry.language) ? { ...entry, available: true, error: undefined } : entry
+    ));
+  }
+
+  /**
+   * Language a name or alias refers to.
+   */
+  resolveLanguage(language) {
+    return this.localService.resolveLanguage(language);
+  }
+
+  get customRuntimeErrors() {
+    return this.localService.customRuntimeErrors;
+  }
+
   /**
    * Update the cloud runtime port/host (called after CRIU migration).
    */
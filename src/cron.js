@@ -0,0 +1,192 @@
+/**
+ * Cron expressions — the five-field schedule format used by jobs
+ *
+ *   ┌ minute (0-59)
+ *   │ ┌ hour (0-23)
+ *   │ │ ┌ day of month (1-31)
+ *   │ │ │ ┌ month (1-12 or jan-dec)
+ *   │ │ │ │ ┌ day of week (0-7 or sun-sat; 0 and 7 are Sunday)
+ *   * * * * *
+ *
+ * Fields accept `*`, numbers, ranges (`1-5`), lists (`1,15`) and steps
+ * (`*\/15`, `8-18/2`). The macros @yearly, @monthly, @weekly, @daily and
+ * @hourly are also understood. As in classic cron, when both day of month
+ * and day of week are restricted a day matching either one is enough.
+ * Times are the server's local time.
+ */
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameBase: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, nameBase: 0 },
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+/** How far ahead nextCronTime() looks before giving up (e.g. "0 0 30 2 *") */
+const SEARCH_LIMIT_DAYS = 366 * 5;
+
+/**
+ * Parse a single value (number or name) of a field
+ * @param {string} value
+ * @param {Object} field
+ * @returns {number}
+ */
+function parseValue(value, field) {
+  const lower = value.toLowerCase();
+  if (field.names?.includes(lower)) {
+    return field.names.indexOf(lower) + field.nameBase;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${field.name} "${value}"`);
+  }
+  const number = Number(value);
+  if (number < field.min || number > field.max) {
+    throw new Error(`${field.name} ${number} is out of range (${field.min}-${field.max})`);
+  }
+  return number;
+}
+
+/**
+ * Parse one field into the set of values it allows
+ * @param {string} text
+ * @param {Object} field
+ * @returns {Set<number>}
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepText}" in ${field.name}`);
+    }
+
+    let from;
+    let to;
+    if (range === '*') {
+      from = field.min;
+      to = field.max;
+    } else if (range.includes('-')) {
+      const [start, end] = range.split('-');
+      from = parseValue(start, field);
+      to = parseValue(end, field);
+      if (from > to) {
+        throw new Error(`Invalid range "${range}" in ${field.name}`);
+      }
+    } else {
+      from = parseValue(range, field);
+      // "5/15" means every 15 starting at 5
+      to = stepText === undefined ? from : field.max;
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression
+ * @returns {{ expression: string, minute: Set<number>, hour: Set<number>, dayOfMonth: Set<number>, month: Set<number>, dayOfWeek: Set<number>, anyDayOfMonth: boolean, anyDayOfWeek: boolean }}
+ * @throws {Error} Describing what is wrong with the expression
+ */
+export function parseCron(expression) {
+  const trimmed = String(expression || '').trim();
+  const expanded = MACROS[trimmed.toLowerCase()] || trimmed;
+  const parts = expanded.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression "${trimmed}" must have 5 fields (minute hour day-of-month month day-of-week)`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  // 7 is an alias for Sunday
+  if (dayOfWeek.delete(7)) dayOfWeek.add(0);
+
+  return {
+    expression: trimmed,
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    anyDayOfMonth: parts[2].startsWith('*'),
+    anyDayOfWeek: parts[4].startsWith('*'),
+  };
+}
+
+/**
+ * Whether a schedule fires on a given day
+ * @param {ReturnType<typeof parseCron>} schedule
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function matchesDay(schedule, date) {
+  if (!schedule.month.has(date.getMonth() + 1)) return false;
+  const domMatch = schedule.dayOfMonth.has(date.getDate());
+  const dowMatch = schedule.dayOfWeek.has(date.getDay());
+  if (schedule.anyDayOfMonth && schedule.anyDayOfWeek) return true;
+  if (schedule.anyDayOfMonth) return dowMatch;
+  if (schedule.anyDayOfWeek) return domMatch;
+  return domMatch || dowMatch;
+}
+
+/**
+ * Whether a schedule fires in the minute containing `date`
+ * @param {ReturnType<typeof parseCron>} schedule
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export function cronMatches(schedule, date) {
+  return matchesDay(schedule, date)
+    && schedule.hour.has(date.getHours())
+    && schedule.minute.has(date.getMinutes());
+}
+
+/**
+ * The first time after `after` that a schedule fires
+ * @param {ReturnType<typeof parseCron>} schedule
+ * @param {Date} [after]
+ * @returns {Date|null} null if it never fires (e.g. February 30th)
+ */
+export function nextCronTime(schedule, after = new Date()) {
+  const candidate = new Date(after.getTime());
+  candidate.setSeconds(0, 0);
+  candidate.setMinutes(candidate.getMinutes() + 1);
+
+  const limit = after.getTime() + SEARCH_LIMIT_DAYS * 24 * 60 * 60 * 1000;
+  while (candidate.getTime() <= limit) {
+    if (!matchesDay(schedule, candidate)) {
+      candidate.setDate(candidate.getDate() + 1);
+      candidate.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.hour.has(candidate.getHours())) {
+      candidate.setHours(candidate.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.minute.has(candidate.getMinutes())) {
+      candidate.setMinutes(candidate.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return candidate;
+  }
+  return null;
+}
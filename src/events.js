@@ -1,50 +1,488 @@
 /**
  * Event bus for server-side events that need to be pushed to clients
  *
- * Events:
- * - files-update: File list changed
- * - venv-found: Venv discovered during scan
- * - venv-scan-done: Venv scan complete
- * - project:changed: Project files changed
- * - sync-server-died: Sync server crashed
+ * Every event that can reach a client is declared in EVENT_CATALOG with a
+ * JSON Schema for its data (served by GET /api/events/schema); broadcast()
+ * refuses names that aren't in it. Use the convenience emitters below
+ * rather than broadcast() directly.
+ *
+ * Every broadcast gets a monotonic sequence number and is kept in a bounded
+ * ring buffer, so clients that drop off briefly can reconnect with
+ * `?since=<seq>` and replay what they missed. `epoch` changes on every
+ * server start, which tells clients that sequence numbers restarted.
+ *
+ * Events that belong to a project carry its root (`projectRoot` on the
+ * entry), so `/events` clients can subscribe to just the projects and event
+ * types they care about (see eventMatches).
  */
 
+import crypto from 'crypto';
 import { EventEmitter } from 'events';
+import path from 'path';
+
+const PATH = { type: 'string', description: 'Absolute path' };
+const NULLABLE_PATH = { type: ['string', 'null'], description: 'Absolute path' };
+const TIMESTAMP = { type: 'string', format: 'date-time' };
+const PRESENCE_USER = {
+  type: 'object',
+  properties: { id: { type: 'string' }, name: { type: 'string' } },
+  required: ['id', 'name'],
+};
+const PRESENCE_CLIENT = {
+  type: 'object',
+  properties: {
+    clientId: { type: 'string' },
+    user: PRESENCE_USER,
+    projectRoot: NULLABLE_PATH,
+    documentPath: NULLABLE_PATH,
+    connectedAt: TIMESTAMP,
+    focusedAt: { type: ['string', 'null'], format: 'date-time' },
+  },
+  required: ['clientId', 'user', 'projectRoot', 'documentPath', 'connectedAt', 'focusedAt'],
+};
+
+const RUNTIME_METRICS = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    language: { type: 'string' },
+    cwd: NULLABLE_PATH,
+    pid: { type: ['integer', 'null'] },
+    available: { type: 'boolean', description: 'false if the process could not be read' },
+    rssBytes: { type: 'integer', description: 'Resident memory of the process tree' },
+    cpuPercent: { type: 'number', description: 'Since the previous sample; 100 = one core' },
+    uptimeSeconds: { type: 'integer' },
+    childProcesses: { type: 'integer' },
+    ports: { type: 'array', items: { type: 'integer' }, description: 'Listening TCP ports' },
+  },
+  required: ['name', 'language', 'cwd', 'pid', 'available'],
+};
+
+/**
+ * Events broadcast to clients. `projectScoped` events belong to a project
+ * and are filtered by project subscriptions and token project roots.
+ * `transient` events are periodic snapshots: they are not kept for replay
+ * and reuse the latest sequence number instead of taking a new one.
+ */
+export const EVENT_CATALOG = {
+  'files-update': {
+    description: 'File list for a search directory changed',
+    projectScoped: true,
+    schema: {
+      type: 'object',
+      properties: { files: { type: 'array', items: PATH } },
+      required: ['files'],
+    },
+  },
+  'venv-found': {
+    description: 'Virtual environment discovered during a venv scan',
+    projectScoped: true,
+    schema: {
+      type: 'object',
+      properties: {
+        path: PATH,
+        name: { type: 'string' },
+        python: PATH,
+        version: { type: 'string' },
+      },
+      required: ['path', 'name', 'python', 'version'],
+    },
+  },
+  'venv-scan-done': {
+    description: 'Venv scan finished',
+    projectScoped: true,
+    schema: { type: 'object', properties: {} },
+  },
+  'project:changed': {
+    description: 'Files in a project changed; reload its tree',
+    projectScoped: true,
+    schema: {
+      type: 'object',
+      properties: { projectRoot: NULLABLE_PATH },
+      required: ['projectRoot'],
+    },
+  },
+  'project-updated': {
+    description: 'Cloud mode: new documents were seeded into a project from the relay',
+    projectScoped: true,
+    schema: {
+      type: 'object',
+      properties: {
+        project: { type: 'string', description: 'Project name' },
+        projectDir: PATH,
+        newDocs: { type: 'array', items: { type: 'string' }, description: 'Document paths relative to the project, without extension' },
+      },
+      required: ['project', 'projectDir', 'newDocs'],
+    },
+  },
+  'sync-server-died': {
+    description: 'The sync server for a project exited unexpectedly; unsaved edits may be lost',
+    projectScoped: true,
+    schema: {
+      type: 'object',
+      properties: {
+        projectDir: PATH,
+        exitCode: { type: ['integer', 'null'] },
+        signal: { type: ['string', 'null'] },
+        timestamp: TIMESTAMP,
+        reason: { type: 'string' },
+      },
+      required: ['projectDir', 'exitCode', 'signal', 'timestamp', 'reason'],
+    },
+  },
+  'presence:join': {
+    description: 'A client connected to the event stream',
+    projectScoped: false,
+    schema: PRESENCE_CLIENT,
+  },
+  'presence:focus': {
+    description: 'A client opened a document (projectRoot null: it left this project)',
+    projectScoped: true,
+    schema: PRESENCE_CLIENT,
+  },
+  'presence:leave': {
+    description: 'A client disconnected',
+    projectScoped: false,
+    schema: {
+      type: 'object',
+      properties: { clientId: { type: 'string' }, user: PRESENCE_USER },
+      required: ['clientId', 'user'],
+    },
+  },
+  'runtime:reaped': {
+    description: 'An idle runtime session was stopped by the reaper',
+    projectScoped: true,
+    schema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        language: { type: 'string' },
+        cwd: NULLABLE_PATH,
+        idleMs: { type: 'integer', description: 'Time since its last activity' },
+        idleTimeout: { type: 'integer', description: 'Timeout that applied, in ms' },
+        reapedAt: TIMESTAMP,
+      },
+      required: ['name', 'language', 'cwd', 'idleMs', 'idleTimeout', 'reapedAt'],
+    },
+  },
+  'runtime:metrics': {
+    description: 'Periodic resource usage of the runtimes working in a directory',
+    projectScoped: true,
+    transient: true,
+    schema: {
+      type: 'object',
+      properties: {
+        cwd: NULLABLE_PATH,
+        runtimes: { type: 'array', items: RUNTIME_METRICS },
+        sampledAt: TIMESTAMP,
+      },
+      required: ['cwd', 'runtimes', 'sampledAt'],
+    },
+  },
+  'runtime:crashed': {
+    description: 'A runtime session exited unexpectedly',
+    projectScoped: true,
+    schema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        language: { type: 'string' },
+        cwd: NULLABLE_PATH,
+        exitCode: { type: ['integer', 'null'] },
+        signal: { type: ['string', 'null'] },
+        reason: { type: ['string', 'null'], description: 'Resource limit it exceeded, if any' },
+        error: { type: ['string', 'null'], description: 'Why a restart attempt failed' },
+        uptimeMs: { type: 'integer' },
+        willRestart: { type: 'boolean' },
+        attempt: { type: 'integer', description: 'Restart attempt coming up (or made, if not restarting)' },
+        restartInMs: { type: ['integer', 'null'] },
+        crashedAt: TIMESTAMP,
+      },
+      required: ['name', 'language', 'cwd', 'exitCode', 'signal', 'willRestart', 'attempt', 'restartInMs', 'crashedAt'],
+    },
+  },
+  'runtime:restarted': {
+    description: 'A crashed runtime session was started again by its restart policy',
+    projectScoped: true,
+    schema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        language: { type: 'string' },
+        cwd: NULLABLE_PATH,
+        attempt: { type: 'integer' },
+        exitCode: { type: ['integer', 'null'], description: 'Of the crash' },
+        signal: { type: ['string', 'null'], description: 'Of the crash' },
+        port: { type: 'integer' },
+        previousPort: { type: 'integer', description: 'Differs from port if it was taken meanwhile' },
+        pid: { type: ['integer', 'null'] },
+        restartedAt: TIMESTAMP,
+      },
+      required: ['name', 'language', 'cwd', 'attempt', 'exitCode', 'signal', 'port', 'previousPort', 'restartedAt'],
+    },
+  },
+  'runtime:killed': {
+    description: 'A runtime session was killed for exceeding one of its resource limits',
+    projectScoped: true,
+    schema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        language: { type: 'string' },
+        cwd: NULLABLE_PATH,
+        limit: { enum: ['memory', 'cpu'], description: 'Which limit it exceeded' },
+        reason: { type: 'string', description: 'Human-readable explanation' },
+        limits: {
+          type: 'object',
+          properties: {
+            memoryMb: { type: 'integer' },
+            cpuSeconds: { type: 'integer' },
+            maxProcesses: { type: 'integer' },
+          },
+        },
+        exitCode: { type: ['integer', 'null'] },
+        signal: { type: ['string', 'null'] },
+        killedAt: TIMESTAMP,
+      },
+      required: ['name', 'language', 'cwd', 'limit', 'reason', 'limits', 'exitCode', 'signal', 'killedAt'],
+    },
+  },
+  'job:started': {
+    description: 'A scheduled job started running its document',
+    projectScoped: true,
+    schema: {
+      type: 'object',
+      properties: {
+        jobId: { type: 'string' },
+        runId: { type: 'string' },
+        trigger: { enum: ['schedule', 'manual'] },
+        projectRoot: PATH,
+        startedAt: TIMESTAMP,
+      },
+      required: ['jobId', 'runId', 'trigger', 'projectRoot', 'startedAt'],
+    },
+  },
+  'job:finished': {
+    description: 'A job run ended (details: GET /api/jobs/:id/runs/:runId)',
+    projectScoped: true,
+    schema: {
+      type: 'object',
+      properties: {
+        jobId: { type: 'string' },
+        runId: { type: 'string' },
+        trigger: { enum: ['schedule', 'manual'] },
+        projectRoot: PATH,
+        status: { enum: ['success', 'failed', 'error'] },
+        exitCode: { type: 'integer' },
+        startedAt: TIMESTAMP,
+        finishedAt: TIMESTAMP,
+      },
+      required: ['jobId', 'runId', 'trigger', 'projectRoot', 'status', 'exitCode', 'startedAt', 'finishedAt'],
+    },
+  },
+};
+
+/**
+ * Connection-level messages sent to a single client (never broadcast,
+ * no `seq`)
+ */
+export const CONTROL_MESSAGES = {
+  connected: 'Sent first: { message, user, clientId, seq, epoch, subscription }',
+  'resync-required': 'Missed events are no longer buffered: { since, seq, epoch }',
+  subscribed: 'Reply to subscribe/unsubscribe: { projectRoots, events } (null = any)',
+  focused: 'Reply to a presence focus message: the presence client',
+  error: 'A client message was rejected: { type, error }',
+};
+
+/** Events kept for replay */
+const DEFAULT_HISTORY_SIZE = 1000;
 
 export class EventBus extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.historySize] - Ring buffer size
+   */
+  constructor({ historySize = DEFAULT_HISTORY_SIZE } = {}) {
     super();
     this.setMaxListeners(100); // Allow many WebSocket connections
+
+    this.epoch = crypto.randomBytes(6).toString('hex');
+    this.seq = 0;
+    this.historySize = historySize;
+    /** @type {Array<{ seq: number, event: string, data: any, ts: number }>} */
+    this.history = [];
   }
 
   /**
-   * Emit an event to all connected clients
+   * Emit an event to connected clients (those whose subscription matches)
    * @param {string} event - Event name
    * @param {any} data - Event data
+   * @param {string|null} [projectRoot] - Project the event belongs to (null: global)
+   */
+  broadcast(event, data, projectRoot = null) {
+    if (!EVENT_CATALOG[event]) {
+      throw new TypeError(`Unknown event "${event}" (add it to EVENT_CATALOG)`);
+    }
+    const { transient } = EVENT_CATALOG[event];
+    const entry = {
+      seq: transient ? this.seq : ++this.seq,
+      event,
+      data,
+      projectRoot: projectRoot ? path.resolve(projectRoot) : null,
+      ts: Date.now(),
+    };
+    if (!transient) {
+      this.history.push(entry);
+      if (this.history.length > this.historySize) {
+        this.history.shift();
+      }
+    }
+    this.emit('broadcast', entry);
+  }
+
+  /**
+   * Events after a sequence number, for replay on reconnect
+   * @param {number} since - Last sequence number the client saw
+   * @param {string} [epoch] - Epoch the client's sequence number belongs to
+   * @returns {Array<Object>|null} Missed events (possibly empty), or null if
+   *   they are no longer all buffered and the client must resync
    */
-  broadcast(event, data) {
-    this.emit('broadcast', { event, data });
+  eventsSince(since, epoch) {
+    if (epoch && epoch !== this.epoch) return null;
+    if (!Number.isInteger(since) || since < 0 || since > this.seq) return null;
+    if (since === this.seq) return [];
+
+    const oldest = this.history[0]?.seq ?? this.seq + 1;
+    if (since + 1 < oldest) return null;
+    return this.history.filter((entry) => entry.seq > since);
   }
 
   // Convenience methods for specific events
 
-  filesUpdated(files) {
-    this.broadcast('files-update', { files });
+  filesUpdated(files, searchDir = null) {
+    this.broadcast('files-update', { files }, searchDir);
   }
 
-  venvFound(venv) {
-    this.broadcast('venv-found', venv);
+  venvFound(venv, searchDir = null) {
+    this.broadcast('venv-found', venv, searchDir);
   }
 
-  venvScanDone() {
-    this.broadcast('venv-scan-done', {});
+  venvScanDone(searchDir = null) {
+    this.broadcast('venv-scan-done', {}, searchDir);
   }
 
   projectChanged(projectRoot) {
-    this.broadcast('project:changed', { projectRoot });
+    this.broadcast('project:changed', { projectRoot }, projectRoot);
+  }
+
+  /**
+   * @param {{ project: string, projectDir: string, newDocs: string[] }} update
+   */
+  projectUpdated({ project, projectDir, newDocs }) {
+    this.broadcast('project-updated', { project, projectDir, newDocs }, projectDir);
   }
 
+  /**
+   * @param {{ projectDir: string, exitCode: number|null, signal: string|null, timestamp: string, reason: string }} data
+   */
   syncServerDied(data) {
-    this.broadcast('sync-server-died', data);
+    this.broadcast('sync-server-died', data, data.projectDir);
+  }
+
+  presenceJoined(client) {
+    this.broadcast('presence:join', client);
   }
+
+  presenceFocused(client, projectRoot) {
+    this.broadcast('presence:focus', client, projectRoot);
+  }
+
+  presenceLeft(clientId, user) {
+    this.broadcast('presence:leave', { clientId, user });
+  }
+
+  /**
+   * Scoped to the session's working directory (its project root, normally)
+   */
+  runtimeReaped(session) {
+    this.broadcast('runtime:reaped', session, session.cwd);
+  }
+
+  runtimeMetrics(metrics) {
+    this.broadcast('runtime:metrics', metrics, metrics.cwd);
+  }
+
+  runtimeKilled(kill) {
+    this.broadcast('runtime:killed', kill, kill.cwd);
+  }
+
+  runtimeCrashed(crash) {
+    this.broadcast('runtime:crashed', crash, crash.cwd);
+  }
+
+  runtimeRestarted(restart) {
+    this.broadcast('runtime:restarted', restart, restart.cwd);
+  }
+
+  jobStarted(run) {
+    this.broadcast('job:started', run, run.projectRoot);
+  }
+
+  jobFinished(run) {
+    this.broadcast('job:finished', run, run.projectRoot);
+  }
+}
+
+/**
+ * The catalog as served by GET /api/events/schema
+ * @returns {Object}
+ */
+export function describeEvents() {
+  return {
+    envelope: {
+      type: 'object',
+      properties: {
+        event: { type: 'string' },
+        data: {},
+        seq: { type: 'integer', description: 'Absent on control messages' },
+      },
+      required: ['event', 'data'],
+    },
+    events: Object.entries(EVENT_CATALOG).map(([name, { description, projectScoped, transient = false, schema }]) => ({
+      name,
+      description,
+      projectScoped,
+      transient,
+      schema,
+    })),
+    control: Object.entries(CONTROL_MESSAGES).map(([name, description]) => ({ name, description })),
+  };
+}
+
+/**
+ * Whether a buffered event should go to a client
+ *
+ * A subscription has two filters, `projectRoots` and `events`; null means
+ * "any". Project-scoped events match a root they lie inside; global events
+ * (no projectRoot) pass the project filter. Identities restricted to
+ * project roots never receive project-scoped events from outside them,
+ * nor project-scoped events that came without a root (e.g. a runtime
+ * without a cwd).
+ *
+ * @param {{ event: string, projectRoot: string|null }} entry
+ * @param {{ projectRoots: Set<string>|null, events: Set<string>|null }} subscription
+ * @param {Object} [identity] - Client identity (its projectRoots, if any, also apply)
+ * @returns {boolean}
+ */
+export function eventMatches(entry, subscription, identity = null) {
+  if (subscription.events && !subscription.events.has(entry.event)) return false;
+  if (!entry.projectRoot) {
+    return !(EVENT_CATALOG[entry.event]?.projectScoped && identity?.projectRoots?.length);
+  }
+
+  const within = (roots) => [...roots].some(
+    (root) => entry.projectRoot === root || entry.projectRoot.startsWith(root + path.sep)
+  );
+  if (identity?.projectRoots?.length && !within(identity.projectRoots)) return false;
+  return !subscription.projectRoots || within(subscription.projectRoots);
 }
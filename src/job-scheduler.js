@@ -0,0 +1,512 @@
+/**
+ * JobScheduler — scheduled headless runs of notebooks
+ *
+ * A job runs one document of a project on a cron schedule (see cron.js)
+ * while the server is up, through the same path as POST /api/notebook/run:
+ * runtimes are the document's effective RuntimeService sessions, started
+ * on demand, and results are written back into the document.
+ *
+ * Jobs are stored per project root in ~/.config/mrmd/jobs.json; the history
+ * of each job's runs (status, exit code, summary and log) is kept in
+ * ~/.config/mrmd/job-runs.json, bounded to the most recent runs per job.
+ * Runs are announced to clients as job:started and job:finished events.
+ *
+ * Scheduled runs execute with the server's own authority; the jobs API
+ * checks the creating token's scopes and project roots instead.
+ *
+ * Job shape:
+ *   { id, name, projectRoot, documentPath, schedule, enabled, failFast,
+ *     createdBy, createdAt, updatedAt }
+ * Run shape:
+ *   { id, jobId, trigger, status, exitCode, startedAt, finishedAt,
+ *     summary, error, log }
+ *   status is 'running', 'success', 'failed' (a block failed) or 'error'
+ *   (the document could not be run); exitCode is 0 only for 'success'
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { CONFIG_DIR } from './vendor/config.js';
+import { cronMatches, nextCronTime, parseCron } from './cron.js';
+import { runDocument } from './notebook-runner.js';
+
+export const JOBS_FILE = path.join(CONFIG_DIR, 'jobs.json');
+export const JOB_RUNS_FILE = path.join(CONFIG_DIR, 'job-runs.json');
+
+/** Runs kept per job */
+const MAX_RUNS_PER_JOB = 50;
+
+/** Log lines kept per run */
+const MAX_LOG_LINES = 500;
+
+/** Fields a client may set */
+const EDITABLE_FIELDS = ['name', 'documentPath', 'schedule', 'enabled', 'failFast'];
+
+/**
+ * Invalid job or unknown job/run. Routes map `status` straight onto the
+ * HTTP response.
+ */
+export class JobError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'JobError';
+    this.status = status;
+  }
+}
+
+function randomId(prefix) {
+  return `${prefix}_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+/**
+ * Read a JSON file, or return a fallback if it is missing or corrupt
+ * @param {string} filePath
+ * @param {Object} fallback
+ * @returns {Object}
+ */
+function readJson(filePath, fallback) {
+  try {
+    if (fs.existsSync(filePath)) {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+  } catch (e) {
+    console.error(`[jobs] Failed to load ${filePath}:`, e.message);
+  }
+  return fallback;
+}
+
+function writeJson(filePath, data) {
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, filePath);
+  } catch (e) {
+    console.error(`[jobs] Failed to save ${filePath}:`, e.message);
+  }
+}
+
+export class JobScheduler {
+  /**
+   * @param {Object} options
+   * @param {Object} options.runtimeService
+   * @param {(documentPath: string, language: string, options?: Object) => Promise<Object>} options.ensureEffectiveRuntime -
+   *   From createEffectiveRuntimeResolver()
+   * @param {import('./runtime-reaper.js').RuntimeReaper} [options.runtimeReaper]
+   * @param {import('./events.js').EventBus} [options.eventBus]
+   * @param {import('./path-guard.js').PathGuard} [options.pathGuard] - Documents
+   *   outside the workspace roots are refused, at creation and at run time
+   * @param {string} [options.jobsFile]
+   * @param {string} [options.runsFile]
+   */
+  constructor({ runtimeService, ensureEffectiveRuntime, runtimeReaper = null, eventBus = null, pathGuard = null, jobsFile = JOBS_FILE, runsFile = JOB_RUNS_FILE }) {
+    this.runtimeService = runtimeService;
+    this.ensureEffectiveRuntime = ensureEffectiveRuntime;
+    this.runtimeReaper = runtimeReaper;
+    this.eventBus = eventBus;
+    this.pathGuard = pathGuard;
+    this.jobsFile = jobsFile;
+    this.runsFile = runsFile;
+
+    /** @type {{ version: number, projects: Object<string, Object[]> }} */
+    this.store = readJson(jobsFile, { version: 1, projects: {} });
+    this.store.projects ||= {};
+    /** @type {{ version: number, runs: Object<string, Object[]> }} */
+    this.history = readJson(runsFile, { version: 1, runs: {} });
+    this.history.runs ||= {};
+
+    /** @type {Map<string, ReturnType<typeof parseCron>>} jobId -> parsed schedule */
+    this.schedules = new Map();
+    /** @type {Map<string, { run: Object, abort: AbortController }>} jobId -> active run */
+    this.active = new Map();
+    this.timer = null;
+
+    // Runs that were in progress when the server went down never finished
+    let interrupted = 0;
+    for (const runs of Object.values(this.history.runs)) {
+      for (const run of runs) {
+        if (run.status !== 'running') continue;
+        Object.assign(run, { status: 'error', exitCode: 1, error: 'Server stopped during the run' });
+        run.finishedAt ||= run.startedAt;
+        interrupted++;
+      }
+    }
+    if (interrupted > 0) this._saveRuns();
+  }
+
+  _saveJobs() {
+    writeJson(this.jobsFile, this.store);
+  }
+
+  _saveRuns() {
+    writeJson(this.runsFile, this.history);
+  }
+
+  _allJobs() {
+    return Object.values(this.store.projects).flat();
+  }
+
+  _schedule(job) {
+    let schedule = this.schedules.get(job.id);
+    if (!schedule || schedule.expression !== job.schedule) {
+      schedule = parseCron(job.schedule);
+      this.schedules.set(job.id, schedule);
+    }
+    return schedule;
+  }
+
+  /**
+   * A job as returned by the API: with its next and last run
+   * @param {Object} job
+   * @returns {Object}
+   */
+  _describe(job) {
+    let nextRunAt = null;
+    if (job.enabled) {
+      try {
+        nextRunAt = nextCronTime(this._schedule(job))?.toISOString() ?? null;
+      } catch {
+        // Stored schedule no longer parses; it never fires
+      }
+    }
+    const [lastRun] = this.listRuns(job.id, { limit: 1 });
+    return {
+      ...job,
+      nextRunAt,
+      running: this.active.has(job.id),
+      lastRun: lastRun ? { ...lastRun, log: undefined } : null,
+    };
+  }
+
+  /**
+   * Validate and normalize client-supplied job fields
+   * @param {Object} fields
+   * @param {string} projectRoot
+   * @returns {Object}
+   */
+  _validate(fields, projectRoot) {
+    const clean = {};
+    for (const key of EDITABLE_FIELDS) {
+      if (fields[key] !== undefined) clean[key] = fields[key];
+    }
+
+    if (clean.schedule !== undefined) {
+      try {
+        clean.schedule = parseCron(clean.schedule).expression;
+      } catch (err) {
+        throw new JobError(err.message);
+      }
+    }
+    if (clean.documentPath !== undefined) {
+      if (typeof clean.documentPath !== 'string' || clean.documentPath === '') {
+        throw new JobError('documentPath must be a non-empty string');
+      }
+      const fullPath = path.resolve(projectRoot, clean.documentPath);
+      const relative = path.relative(projectRoot, fullPath);
+      if (relative.startsWith('..') || path.isAbsolute(relative)) {
+        throw new JobError('documentPath must be inside projectRoot');
+      }
+      if (!/\.(md|qmd)$/i.test(fullPath)) {
+        throw new JobError('documentPath must be a .md or .qmd document');
+      }
+      this.pathGuard?.check(fullPath);
+      // Stored relative to the project root
+      clean.documentPath = relative;
+    }
+    if (clean.name !== undefined) clean.name = String(clean.name).trim().slice(0, 100);
+    if (clean.enabled !== undefined) clean.enabled = Boolean(clean.enabled);
+    if (clean.failFast !== undefined) clean.failFast = Boolean(clean.failFast);
+    return clean;
+  }
+
+  // ==========================================================================
+  // JOBS
+  // ==========================================================================
+
+  /**
+   * @param {Object} [filters]
+   * @param {string} [filters.projectRoot] - Only jobs of this project
+   * @param {(projectRoot: string) => boolean} [filters.visible] - Hide other projects
+   * @returns {Object[]}
+   */
+  list({ projectRoot, visible = () => true } = {}) {
+    const root = projectRoot ? path.resolve(projectRoot) : null;
+    return this._allJobs()
+      .filter((job) => (!root || job.projectRoot === root) && visible(job.projectRoot))
+      .map((job) => this._describe(job));
+  }
+
+  /**
+   * @param {string} jobId
+   * @returns {Object|null} Stored job (not a copy)
+   */
+  find(jobId) {
+    return this._allJobs().find((job) => job.id === jobId) || null;
+  }
+
+  /**
+   * @param {string} jobId
+   * @returns {Object}
+   * @throws {JobError} 404 if unknown
+   */
+  get(jobId) {
+    const job = this.find(jobId);
+    if (!job) throw new JobError(`Unknown job ${jobId}`, 404);
+    return this._describe(job);
+  }
+
+  /**
+   * @param {Object} fields - { projectRoot, documentPath, schedule, name?, enabled?, failFast? }
+   * @param {Object|null} [creator] - Identity creating the job
+   * @returns {Object}
+   */
+  create(fields, creator = null) {
+    if (!fields.projectRoot || !path.isAbsolute(fields.projectRoot)) {
+      throw new JobError('projectRoot must be an absolute path');
+    }
+    if (!fields.documentPath || !fields.schedule) {
+      throw new JobError('documentPath and schedule required');
+    }
+    const projectRoot = path.resolve(fields.projectRoot);
+    this.pathGuard?.check(projectRoot);
+
+    const now = new Date().toISOString();
+    const job = {
+      id: randomId('job'),
+      name: '',
+      enabled: true,
+      failFast: false,
+      ...this._validate(fields, projectRoot),
+      projectRoot,
+      createdBy: creator ? { id: creator.id, name: creator.name } : null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    job.name ||= path.basename(job.documentPath);
+
+    (this.store.projects[projectRoot] ||= []).push(job);
+    this._saveJobs();
+    console.log(`[jobs] Created ${job.id} (${job.schedule}) for ${path.join(projectRoot, job.documentPath)}`);
+    return this._describe(job);
+  }
+
+  /**
+   * @param {string} jobId
+   * @param {Object} fields - Any of name, documentPath, schedule, enabled, failFast
+   * @returns {Object}
+   */
+  update(jobId, fields) {
+    const job = this.find(jobId);
+    if (!job) throw new JobError(`Unknown job ${jobId}`, 404);
+
+    Object.assign(job, this._validate(fields, job.projectRoot), { updatedAt: new Date().toISOString() });
+    this._saveJobs();
+    return this._describe(job);
+  }
+
+  /**
+   * Delete a job, its history, and stop it if it is running
+   * @param {string} jobId
+   * @returns {boolean} Whether it existed
+   */
+  delete(jobId) {
+    const job = this.find(jobId);
+    if (!job) return false;
+
+    const jobs = this.store.projects[job.projectRoot];
+    jobs.splice(jobs.indexOf(job), 1);
+    if (jobs.length === 0) delete this.store.projects[job.projectRoot];
+    this._saveJobs();
+
+    this.active.get(jobId)?.abort.abort();
+    this.schedules.delete(jobId);
+    delete this.history.runs[jobId];
+    this._saveRuns();
+    console.log(`[jobs] Deleted ${jobId}`);
+    return true;
+  }
+
+  // ==========================================================================
+  // RUNS
+  // ==========================================================================
+
+  /**
+   * Most recent runs first
+   * @param {string} jobId
+   * @param {Object} [options]
+   * @param {number} [options.limit]
+   * @returns {Object[]}
+   */
+  listRuns(jobId, { limit = MAX_RUNS_PER_JOB } = {}) {
+    return (this.history.runs[jobId] || []).slice(-limit).reverse();
+  }
+
+  /**
+   * @param {string} jobId
+   * @param {string} runId
+   * @returns {Object}
+   * @throws {JobError} 404 if unknown
+   */
+  getRun(jobId, runId) {
+    const run = (this.history.runs[jobId] || []).find((entry) => entry.id === runId);
+    if (!run) throw new JobError(`Unknown run ${runId}`, 404);
+    return run;
+  }
+
+  /**
+   * Start a run of a job now
+   * @param {string} jobId
+   * @param {'schedule'|'manual'} [trigger]
+   * @returns {{ run: Object, done: Promise<Object> }} The run as started, and
+   *   a promise of the finished run (never rejects)
+   * @throws {JobError} 404 if unknown, 409 if already running
+   */
+  runNow(jobId, trigger = 'manual') {
+    const job = this.find(jobId);
+    if (!job) throw new JobError(`Unknown job ${jobId}`, 404);
+    if (this.active.has(jobId)) throw new JobError(`Job ${jobId} is already running`, 409);
+
+    const run = {
+      id: randomId('run'),
+      jobId,
+      trigger,
+      status: 'running',
+      exitCode: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      summary: null,
+      error: null,
+      log: [],
+    };
+    const runs = (this.history.runs[jobId] ||= []);
+    runs.push(run);
+    if (runs.length > MAX_RUNS_PER_JOB) runs.splice(0, runs.length - MAX_RUNS_PER_JOB);
+    this._saveRuns();
+
+    const abort = new AbortController();
+    this.active.set(jobId, { run, abort });
+    this.eventBus?.jobStarted({ jobId, runId: run.id, trigger, projectRoot: job.projectRoot, startedAt: run.startedAt });
+
+    const done = this._execute(job, run, abort.signal).finally(() => {
+      this.active.delete(jobId);
+    });
+    return { run: { ...run }, done };
+  }
+
+  async _execute(job, run, signal) {
+    const log = (line) => {
+      if (run.log.length < MAX_LOG_LINES) {
+        run.log.push(`${new Date().toISOString()} ${line}`);
+      } else if (run.log.length === MAX_LOG_LINES) {
+        run.log.push('… log truncated');
+      }
+    };
+
+    const fullPath = path.join(job.projectRoot, job.documentPath);
+    log(`Running ${fullPath} (${run.trigger})`);
+    console.log(`[jobs] ${job.id} running ${fullPath} (${run.trigger})`);
+
+    try {
+      this.pathGuard?.check(fullPath);
+      const summary = await runDocument(fullPath, {
+        runtimeService: this.runtimeService,
+        ensureEffectiveRuntime: this.ensureEffectiveRuntime,
+        failFast: job.failFast,
+        signal,
+        runtimeReaper: this.runtimeReaper,
+        onProgress: (event, data) => {
+          if (event === 'start') {
+            log(`${data.blocks} executable block(s)`);
+          } else if (event === 'block:start') {
+            log(`Block ${data.index} (${data.language}, line ${data.line}) started`);
+          } else if (event === 'block:done') {
+            log(`Block ${data.index} ${data.status} in ${data.duration}ms${data.error ? `: ${data.error}` : ''}`);
+          }
+        },
+      });
+
+      if (summary.warning) log(summary.warning);
+      log(`Done: ${summary.executed} executed, ${summary.failed} failed, ${summary.skipped} skipped`);
+      Object.assign(run, {
+        status: summary.success ? 'success' : 'failed',
+        exitCode: summary.success ? 0 : 1,
+        summary,
+      });
+    } catch (err) {
+      log(`Error: ${err.message}`);
+      Object.assign(run, { status: 'error', exitCode: 1, error: err.message });
+    }
+
+    run.finishedAt = new Date().toISOString();
+    this._saveRuns();
+    console.log(`[jobs] ${job.id} ${run.status}`);
+    this.eventBus?.jobFinished({
+      jobId: job.id,
+      runId: run.id,
+      trigger: run.trigger,
+      projectRoot: job.projectRoot,
+      status: run.status,
+      exitCode: run.exitCode,
+      startedAt: run.startedAt,
+      finishedAt: run.finishedAt,
+    });
+    return run;
+  }
+
+  // ==========================================================================
+  // SCHEDULING
+  // ==========================================================================
+
+  /**
+   * Start firing jobs on their schedules (checked at the top of each minute)
+   */
+  start() {
+    if (this.timer) return;
+    const jobs = this._allJobs().filter((job) => job.enabled);
+    console.log(`[jobs] Scheduler started (${jobs.length} enabled job(s))`);
+    this._arm();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    for (const { abort } of this.active.values()) {
+      abort.abort();
+    }
+  }
+
+  _arm() {
+    const now = Date.now();
+    const delay = 60000 - (now % 60000);
+    this.timer = setTimeout(() => {
+      this.tick(new Date(now + delay));
+      this._arm();
+    }, delay);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Run every enabled job due in the minute containing `date`
+   * @param {Date} [date]
+   */
+  tick(date = new Date()) {
+    for (const job of this._allJobs()) {
+      if (!job.enabled) continue;
+
+      let due = false;
+      try {
+        due = cronMatches(this._schedule(job), date);
+      } catch (err) {
+        console.warn(`[jobs] ${job.id} has an invalid schedule: ${err.message}`);
+      }
+      if (!due) continue;
+
+      if (this.active.has(job.id)) {
+        console.warn(`[jobs] ${job.id} is still running; skipping this run`);
+        continue;
+      }
+      this.runNow(job.id, 'schedule');
+    }
+  }
+}
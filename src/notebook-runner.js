@@ -0,0 +1,360 @@
+/**
+ * Notebook runner — headless execution of every code block in a markdown
+ * document
+ *
+ * Fenced code blocks whose language has a runtime are executed in document
+ * order through the runtime's MRP endpoint (POST <url>/execute). Each
+ * block's results replace the ```output / ```error blocks (and output
+ * images) directly after it, the same shape notebook conversion produces.
+ * Blocks in other languages (mermaid, output, ...) are left untouched.
+ *
+ * runDocument() is the whole headless path for a file on disk, shared by
+ * POST /api/notebook/run and scheduled jobs.
+ */
+
+import fs from 'fs/promises';
+import { normalizeRuntimeLanguage } from './api/runtime.js';
+
+/** Fence info strings that hold results rather than code */
+const RESULT_FENCE = /^(output|error)(:|$)/;
+
+/** Image lines written for rich display output */
+const OUTPUT_IMAGE = /^!\[output\]\(/;
+
+/** Per-block execution timeout */
+const EXECUTE_TIMEOUT_MS = 10 * 60 * 1000;
+
+/** Documents currently being run by runDocument() */
+const runningDocuments = new Set();
+
+/**
+ * A document that can't be run. Routes map `status` straight onto the
+ * HTTP response.
+ */
+export class NotebookRunError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'NotebookRunError';
+    this.status = status;
+  }
+}
+
+/**
+ * Find fenced code blocks, and the result blocks that follow each one
+ * @param {string} markdown
+ * @returns {{ lines: string[], blocks: Array<{ index: number, info: string, code: string, start: number, end: number, resultsEnd: number }> }}
+ *   `start`/`end` are the fence line numbers; results occupy (end, resultsEnd)
+ */
+export function parseCodeBlocks(markdown) {
+  const lines = markdown.split('\n');
+  const fences = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const open = lines[i].match(/^(`{3,}|~{3,})\s*(.*)$/);
+    if (!open) continue;
+
+    const [, fence, info] = open;
+    const closing = new RegExp(`^${fence[0]}{${fence.length},}\\s*$`);
+    let close = i + 1;
+    while (close < lines.length && !closing.test(lines[close])) {
+      close++;
+    }
+    // An unclosed fence runs to the end of the document; nothing to execute
+    if (close >= lines.length) break;
+
+    fences.push({ info: info.trim(), start: i, end: close });
+    i = close;
+  }
+
+  const blocks = [];
+  for (let f = 0; f < fences.length; f++) {
+    const { info, start, end } = fences[f];
+    if (RESULT_FENCE.test(info)) continue;
+
+    // Results: blank lines, result fences and output images right after
+    let resultsEnd = end + 1;
+    let next = f + 1;
+    for (let line = end + 1; line < lines.length; line++) {
+      if (lines[line].trim() === '') continue;
+      if (OUTPUT_IMAGE.test(lines[line])) {
+        resultsEnd = line + 1;
+        continue;
+      }
+      if (fences[next]?.start === line && RESULT_FENCE.test(fences[next].info)) {
+        resultsEnd = fences[next].end + 1;
+        line = fences[next].end;
+        next++;
+        continue;
+      }
+      break;
+    }
+
+    blocks.push({
+      index: blocks.length,
+      info,
+      code: lines.slice(start + 1, end).join('\n'),
+      start,
+      end,
+      resultsEnd,
+    });
+  }
+
+  return { lines, blocks };
+}
+
+/**
+ * Language named by a fence info string (```python {.cell} -> python)
+ * @param {string} info
+ * @returns {string}
+ */
+export function fenceLanguage(info) {
+  return info.split(/[\s{:]/)[0].toLowerCase();
+}
+
+/**
+ * Fence a block of text, lengthening the fence if the text contains one
+ * @param {string} kind - "output" or "error"
+ * @param {string} text
+ * @returns {string[]}
+ */
+function fenced(kind, text) {
+  const longest = Math.max(2, ...(text.match(/`{3,}/g) || []).map((run) => run.length));
+  const fence = '`'.repeat(longest + 1);
+  return [fence + kind, text, fence];
+}
+
+/**
+ * Markdown lines for an MRP execute result
+ * @param {Object} result - { success, stdout, stderr, result, error, displayData }
+ * @returns {string[]}
+ */
+export function formatResult(result) {
+  const lines = [];
+  const stripAnsi = (text) => text.replace(/\x1b\[[0-9;]*m/g, '');
+
+  const output = [result.stdout, result.stderr, result.result]
+    .filter((part) => typeof part === 'string' && part.trim() !== '')
+    .map((part) => stripAnsi(part).replace(/\n+$/, ''))
+    .join('\n');
+  if (output) {
+    lines.push('', ...fenced('output', output));
+  }
+
+  for (const display of result.displayData || []) {
+    if (display.data?.['image/png']) {
+      lines.push('', `![output](data:image/png;base64,${display.data['image/png']})`);
+    }
+  }
+
+  if (result.success === false) {
+    const error = result.error || {};
+    const traceback = (error.traceback || []).map(stripAnsi).join('\n').trim();
+    const summary = [error.type, error.message].filter(Boolean).join(': ') || 'Execution failed';
+    lines.push('', ...fenced('error', traceback || summary));
+  }
+
+  return lines;
+}
+
+/**
+ * Execute code through a runtime's MRP endpoint
+ * @param {string} url - Runtime MRP base URL (…/mrp/v1)
+ * @param {string} code
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Object>} Execute result
+ */
+async function executeCode(url, code, signal) {
+  // Abort on the caller's signal or the timeout, whichever comes first
+  // (by hand: AbortSignal.any() needs Node 20.3 / 18.17)
+  const controller = new AbortController();
+  const timer = setTimeout(() => {
+    controller.abort(new DOMException('The operation was aborted due to timeout', 'TimeoutError'));
+  }, EXECUTE_TIMEOUT_MS);
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal?.aborted) onAbort();
+  else signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    const res = await fetch(`${url.replace(/\/$/, '')}/execute`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code, storeHistory: true }),
+      signal: controller.signal,
+    });
+    const body = await res.json().catch(() => null);
+    if (!res.ok || !body) {
+      throw new Error(body?.error || `Runtime returned HTTP ${res.status}`);
+    }
+    return body;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Run every executable code block of a document
+ * @param {string} markdown - Document content
+ * @param {Object} options
+ * @param {(language: string) => string|null} options.languageOf - Runtime
+ *   language for a fence language, or null if it isn't executable
+ * @param {(language: string) => Promise<Object>} options.resolveRuntime -
+ *   Effective runtime ({ url, alive, error }) for a runtime language
+ * @param {boolean} [options.failFast] - Stop at the first failing block
+ * @param {(event: string, data: Object) => void} [options.onProgress]
+ * @param {AbortSignal} [options.signal] - Abort the run (e.g. client went away)
+ * @param {(runtime: Object) => (() => void)} [options.trackRuntime] - Called
+ *   as each block starts executing; the function it returns when it ends
+ * @returns {Promise<{ markdown: string, success: boolean, executed: number, failed: number, skipped: number, blocks: Object[] }>}
+ */
+export async function runNotebook(markdown, { languageOf, resolveRuntime, failFast = false, onProgress = () => {}, signal, trackRuntime } = {}) {
+  const { lines, blocks } = parseCodeBlocks(markdown);
+  const runnable = blocks
+    .map((block) => ({ ...block, language: languageOf(fenceLanguage(block.info)) }))
+    .filter((block) => block.language);
+
+  onProgress('start', { blocks: runnable.length });
+
+  const runtimes = new Map();
+  const replacements = new Map();
+  const summary = [];
+  let failed = 0;
+
+  for (const block of runnable) {
+    if (signal?.aborted || (failFast && failed > 0)) {
+      summary.push({ index: block.index, language: block.language, status: 'skipped' });
+      continue;
+    }
+
+    onProgress('block:start', { index: block.index, language: block.language, line: block.start + 1 });
+    const startedAt = Date.now();
+    let result;
+
+    try {
+      if (!runtimes.has(block.language)) {
+        runtimes.set(block.language, await resolveRuntime(block.language));
+      }
+      const runtime = runtimes.get(block.language);
+      if (!runtime?.url || runtime.alive === false) {
+        throw new Error(runtime?.error || `No ${block.language} runtime available`);
+      }
+      const endExecution = trackRuntime?.(runtime);
+      try {
+        result = await executeCode(runtime.url, block.code, signal);
+      } finally {
+        endExecution?.();
+      }
+    } catch (err) {
+      if (signal?.aborted) {
+        summary.push({ index: block.index, language: block.language, status: 'skipped' });
+        continue;
+      }
+      result = { success: false, error: { type: 'RunnerError', message: err.message } };
+    }
+
+    const success = result.success !== false;
+    if (!success) failed++;
+    replacements.set(block.index, formatResult(result));
+
+    const entry = {
+      index: block.index,
+      language: block.language,
+      status: success ? 'ok' : 'error',
+      duration: Date.now() - startedAt,
+      ...(success ? {} : { error: result.error?.message || result.error?.type || 'Execution failed' }),
+    };
+    summary.push(entry);
+    onProgress('block:done', entry);
+  }
+
+  // Rebuild the document bottom-up so earlier line numbers stay valid
+  const output = [...lines];
+  for (const block of [...blocks].reverse()) {
+    if (!replacements.has(block.index)) continue;
+    output.splice(block.end + 1, block.resultsEnd - block.end - 1, ...replacements.get(block.index));
+  }
+
+  const executed = summary.filter((entry) => entry.status !== 'skipped').length;
+  return {
+    markdown: output.join('\n'),
+    success: failed === 0 && executed === runnable.length,
+    executed,
+    failed,
+    skipped: runnable.length - executed,
+    blocks: summary,
+  };
+}
+
+/**
+ * Run a document on disk and write the results back into it
+ *
+ * Results are only written if the file is unchanged when the run ends, so
+ * edits made meanwhile are never clobbered.
+ *
+ * @param {string} fullPath - Absolute, already path-checked .md/.qmd file
+ * @param {Object} options
+ * @param {Object} options.runtimeService - Supplies the supported languages
+ * @param {(documentPath: string, language: string, options?: Object) => Promise<Object>} options.ensureEffectiveRuntime -
+ *   From createEffectiveRuntimeResolver()
+ * @param {boolean} [options.failFast]
+ * @param {(event: string, data: Object) => void} [options.onProgress] - Also
+ *   called once the file has been read, before any block runs
+ * @param {AbortSignal} [options.signal]
+ * @param {import('./runtime-reaper.js').RuntimeReaper} [options.runtimeReaper] -
+ *   Keeps the runtimes from being reaped while blocks execute
+ * @returns {Promise<{ success: boolean, executed: number, failed: number, skipped: number, blocks: Object[], path: string, written: boolean, warning?: string }>}
+ * @throws {NotebookRunError} Not a markdown document, missing, or already running
+ */
+export async function runDocument(fullPath, { runtimeService, ensureEffectiveRuntime, failFast = false, onProgress, signal, runtimeReaper = null } = {}) {
+  if (!/\.(md|qmd)$/i.test(fullPath)) {
+    throw new NotebookRunError('File must be a .md or .qmd document');
+  }
+  if (runningDocuments.has(fullPath)) {
+    throw new NotebookRunError('Document is already running', 409);
+  }
+
+  // Claimed before the first await, so concurrent callers see it
+  runningDocuments.add(fullPath);
+  try {
+    let original;
+    try {
+      original = await fs.readFile(fullPath, 'utf-8');
+    } catch {
+      throw new NotebookRunError('File not found', 404);
+    }
+
+    const supported = new Set(runtimeService.supportedLanguages());
+    supported.delete('pty');
+
+    const result = await runNotebook(original, {
+      languageOf: (language) => {
+        const alias = normalizeRuntimeLanguage(language);
+        const normalized = runtimeService.resolveLanguage?.(alias) || alias;
+        return supported.has(normalized) ? normalized : null;
+      },
+      // Headless runs talk to the runtime directly, so never use the tunnel
+      resolveRuntime: (language) => ensureEffectiveRuntime(fullPath, language, { local: true }),
+      failFast: Boolean(failFast),
+      onProgress,
+      signal,
+      trackRuntime: runtimeReaper ? (runtime) => runtimeReaper.begin(runtime.name) : undefined,
+    });
+
+    // Don't clobber edits made while the blocks were running
+    const current = await fs.readFile(fullPath, 'utf-8');
+    const written = current === original && result.markdown !== original;
+    if (written) {
+      await fs.writeFile(fullPath, result.markdown, 'utf-8');
+    }
+
+    const { markdown, ...summary } = result;
+    return {
+      ...summary,
+      path: fullPath,
+      written,
+      ...(current !== original ? { warning: 'Document changed during the run; results were not written' } : {}),
+    };
+  } finally {
+    runningDocuments.delete(fullPath);
+  }
+}
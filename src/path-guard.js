@@ -0,0 +1,124 @@
+/**
+ * PathGuard — confines filesystem access to configured workspace roots
+ *
+ * File, asset, notebook, project and browse routes resolve every
+ * client-supplied path through a PathGuard. Paths are compared after
+ * symlink resolution, so a link inside a root that points elsewhere is
+ * rejected just like `../../etc/passwd` or `/etc/passwd`.
+ *
+ * Roots come from (first match wins):
+ *   1. config.allowedRoots (CLI: --allow-root, repeatable)
+ *   2. MRMD_ALLOWED_ROOTS (path.delimiter-separated)
+ *   3. the server's projectDir
+ *   4. the user's home directory
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Thrown when a path falls outside every allowed root.
+ * Routes map `status` straight onto the HTTP response.
+ */
+export class PathAccessError extends Error {
+  constructor(targetPath) {
+    super(`Access denied: ${targetPath} is outside the allowed workspace roots`);
+    this.name = 'PathAccessError';
+    this.code = 'EOUTSIDEROOT';
+    this.status = 403;
+    this.path = targetPath;
+  }
+}
+
+/**
+ * Resolve symlinks for a path that may not exist yet by resolving its
+ * nearest existing ancestor and re-appending the remainder.
+ * @param {string} absPath
+ * @returns {string}
+ */
+export function realpathLenient(absPath) {
+  const missing = [];
+  let current = absPath;
+
+  while (true) {
+    try {
+      const real = fs.realpathSync(current);
+      return missing.length > 0 ? path.join(real, ...missing.reverse()) : real;
+    } catch {
+      const parent = path.dirname(current);
+      if (parent === current) return absPath;
+      missing.push(path.basename(current));
+      current = parent;
+    }
+  }
+}
+
+/**
+ * Work out the allowed roots for a server
+ * @param {Object} options
+ * @param {string[]} [options.allowedRoots] - Explicitly configured roots
+ * @param {string|null} [options.projectDir] - Server project directory
+ * @returns {string[]}
+ */
+export function resolveAllowedRoots({ allowedRoots, projectDir } = {}) {
+  if (Array.isArray(allowedRoots) && allowedRoots.length > 0) {
+    return allowedRoots;
+  }
+
+  const fromEnv = (process.env.MRMD_ALLOWED_ROOTS || '')
+    .split(path.delimiter)
+    .map((root) => root.trim())
+    .filter(Boolean);
+  if (fromEnv.length > 0) return fromEnv;
+
+  if (projectDir) return [projectDir];
+  return [os.homedir()];
+}
+
+export class PathGuard {
+  /**
+   * @param {string[]} roots - Allowed workspace roots
+   */
+  constructor(roots) {
+    this.roots = roots.map((root) => realpathLenient(path.resolve(root)));
+  }
+
+  /**
+   * @param {string} targetPath - Absolute path
+   * @returns {boolean}
+   */
+  isAllowed(targetPath) {
+    const real = realpathLenient(path.resolve(targetPath));
+    return this.roots.some((root) => real === root || real.startsWith(root + path.sep));
+  }
+
+  /**
+   * Assert that a path is inside an allowed root
+   * @param {string} targetPath - Absolute path
+   * @returns {string} The (unchanged) absolute path
+   * @throws {PathAccessError}
+   */
+  check(targetPath) {
+    const absPath = path.resolve(targetPath);
+    if (!this.isAllowed(absPath)) {
+      console.warn(`[sandbox] Denied access outside workspace roots: ${absPath}`);
+      throw new PathAccessError(absPath);
+    }
+    return absPath;
+  }
+
+  /**
+   * Resolve a client-supplied path against a base and check it
+   * @param {string|null} basePath - Base for relative paths
+   * @param {string} inputPath - Absolute or relative path
+   * @returns {string} Resolved absolute path
+   * @throws {PathAccessError}
+   */
+  resolve(basePath, inputPath) {
+    const absPath = path.isAbsolute(inputPath)
+      ? inputPath
+      : path.resolve(basePath || this.roots[0], inputPath);
+    return this.check(absPath);
+  }
+}
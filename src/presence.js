@@ -0,0 +1,156 @@
+/**
+ * PresenceTracker — who is connected to /events and what they have open
+ *
+ * Every authenticated `/events` socket (or `/api/events/stream` SSE
+ * connection) is a presence client. Clients report the document (and
+ * project) they are looking at with a "focus" message, or with
+ * POST /api/presence/focus over SSE; changes are broadcast as
+ * presence:join, presence:focus and presence:leave events, and the current
+ * state is served by GET /api/presence.
+ *
+ * Focus events are scoped to their project, so event subscriptions and
+ * token project roots apply to them. Clients only ever see the project and
+ * document of others inside the roots their own token may access.
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { isPathAllowed } from './auth.js';
+
+/**
+ * Invalid or unauthorized presence update. Routes map `status` straight
+ * onto the HTTP response.
+ */
+export class PresenceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PresenceError';
+    this.status = status;
+  }
+}
+
+export class PresenceTracker {
+  /**
+   * @param {import('./events.js').EventBus} eventBus
+   */
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+    /** @type {Map<string, { clientId: string, user: { id: string, name: string }, projectRoot: string|null, documentPath: string|null, connectedAt: string, focusedAt: string|null }>} */
+    this.clients = new Map();
+    /** @type {Map<string, string>} clientId -> token it connected with */
+    this.owners = new Map();
+  }
+
+  /**
+   * @returns {string} A new client id
+   */
+  createClientId() {
+    return `c_${crypto.randomBytes(6).toString('hex')}`;
+  }
+
+  /**
+   * Register a connected client
+   * @param {string} clientId - From createClientId()
+   * @param {Object} identity - Identity the client authenticated with
+   */
+  join(clientId, identity) {
+    const client = {
+      clientId,
+      user: { id: identity.id, name: identity.name },
+      projectRoot: null,
+      documentPath: null,
+      connectedAt: new Date().toISOString(),
+      focusedAt: null,
+    };
+    this.clients.set(clientId, client);
+    this.owners.set(clientId, identity.tokenId);
+    this.eventBus.presenceJoined({ ...client });
+  }
+
+  /**
+   * Record the document a client has open (null to clear)
+   * @param {string} clientId
+   * @param {Object} focus
+   * @param {string|null} [focus.projectRoot] - Absolute project root
+   * @param {string|null} [focus.documentPath] - Absolute document path
+   * @param {Object} identity - Must be the token the client connected with;
+   *   paths outside its project roots are refused
+   * @returns {Object} Updated client
+   */
+  focus(clientId, { projectRoot = null, documentPath = null }, identity) {
+    const client = this.clients.get(clientId);
+    if (!client) {
+      throw new PresenceError(`Unknown presence client ${clientId}`, 404);
+    }
+    if (this.owners.get(clientId) !== identity?.tokenId) {
+      throw new PresenceError(`Presence client ${clientId} belongs to another token`, 403);
+    }
+
+    for (const value of [projectRoot, documentPath]) {
+      if (value == null) continue;
+      if (typeof value !== 'string' || !path.isAbsolute(value)) {
+        throw new PresenceError('projectRoot and documentPath must be absolute paths');
+      }
+      if (!isPathAllowed(identity, value)) {
+        throw new PresenceError(`Token is not allowed to access ${value}`, 403);
+      }
+    }
+
+    if (projectRoot && documentPath) {
+      const relative = path.relative(path.resolve(projectRoot), path.resolve(documentPath));
+      if (relative.startsWith('..') || path.isAbsolute(relative)) {
+        throw new PresenceError('documentPath must be inside projectRoot');
+      }
+    }
+
+    const root = projectRoot ? path.resolve(projectRoot)
+      : (documentPath ? path.dirname(path.resolve(documentPath)) : null);
+    const previousRoot = client.projectRoot;
+    if (previousRoot && previousRoot !== root) {
+      // Tell clients following the old project that this one moved away
+      this.eventBus.presenceFocused({ ...client, projectRoot: null, documentPath: null }, previousRoot);
+    }
+
+    client.projectRoot = root;
+    client.documentPath = documentPath ? path.resolve(documentPath) : null;
+    client.focusedAt = new Date().toISOString();
+
+    this.eventBus.presenceFocused({ ...client }, root);
+    return { ...client };
+  }
+
+  /**
+   * Remove a disconnected client
+   * @param {string} clientId
+   */
+  leave(clientId) {
+    const client = this.clients.get(clientId);
+    if (!client) return;
+    this.clients.delete(clientId);
+    this.owners.delete(clientId);
+    this.eventBus.presenceLeft(clientId, client.user);
+  }
+
+  /**
+   * Connected clients as seen by a viewer
+   * @param {Object|null} viewer - Requesting identity; project and document
+   *   outside its project roots are hidden
+   * @param {Object} [filters]
+   * @param {string} [filters.projectRoot] - Only clients focused inside this root
+   * @returns {Object[]}
+   */
+  list(viewer, { projectRoot } = {}) {
+    const filterRoot = projectRoot ? path.resolve(projectRoot) : null;
+    const result = [];
+
+    for (const client of this.clients.values()) {
+      const visible = client.projectRoot && isPathAllowed(viewer, client.projectRoot);
+      if (filterRoot && !(visible && (client.projectRoot === filterRoot
+        || client.projectRoot.startsWith(filterRoot + path.sep)))) {
+        continue;
+      }
+      result.push(visible ? { ...client } : { ...client, projectRoot: null, documentPath: null });
+    }
+    return result;
+  }
+}
@@ -0,0 +1,185 @@
+/**
+ * AuthThrottle — brute-force protection and per-token rate limits
+ *
+ * Failed authentication attempts (bad tokens, bad passwords) are counted
+ * per client IP. After a few free attempts each further failure locks the
+ * IP out for exponentially longer: 1s, 2s, 4s, ... up to 15 minutes. The
+ * count is forgotten an hour after the last failure.
+ *
+ * Authenticated requests are also limited per token (fixed one-minute
+ * window), so a leaked token can't hammer the server.
+ *
+ * Both limits surface as HTTP 429 with a Retry-After header, for plain
+ * requests and WebSocket upgrades alike.
+ */
+
+/** Failures allowed before lockouts start */
+const FREE_ATTEMPTS = 5;
+const BASE_LOCKOUT_MS = 1000;
+const MAX_LOCKOUT_MS = 15 * 60 * 1000;
+
+/** Forget an IP's failures this long after the last one */
+const FORGET_AFTER_MS = 60 * 60 * 1000;
+
+/** Default requests per token per window (MRMD_RATE_LIMIT overrides; 0 disables) */
+const DEFAULT_TOKEN_LIMIT = 1200;
+const TOKEN_WINDOW_MS = 60 * 1000;
+
+const PRUNE_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Client address for a request or upgrade. With trustProxy, the address
+ * appended by the (single) reverse proxy in X-Forwarded-For is used,
+ * matching Express's `trust proxy: 1`.
+ * @param {import('http').IncomingMessage} req
+ * @param {boolean} trustProxy
+ * @returns {string}
+ */
+export function clientIp(req, trustProxy = false) {
+  if (trustProxy) {
+    const forwarded = String(req.headers['x-forwarded-for'] || '')
+      .split(',')
+      .map((part) => part.trim())
+      .filter(Boolean);
+    if (forwarded.length > 0) return forwarded[forwarded.length - 1];
+  }
+  return req.socket?.remoteAddress || req.ip || 'unknown';
+}
+
+/**
+ * Parse a per-token rate limit
+ * @param {string|number} value - Requests per minute; 0 disables
+ * @returns {number}
+ * @throws {Error} Not a non-negative integer
+ */
+export function parseRateLimit(value) {
+  const text = String(value ?? '').trim();
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`Invalid rate limit "${value}" (expected requests per minute, 0 disables)`);
+  }
+  return parseInt(text, 10);
+}
+
+export class AuthThrottle {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.tokenLimit] - Requests per token per minute (0 disables)
+   * @param {boolean} [options.trustProxy] - Take client IPs from X-Forwarded-For
+   */
+  constructor({ tokenLimit, trustProxy = false } = {}) {
+    this.tokenLimit = tokenLimit ?? (process.env.MRMD_RATE_LIMIT
+      ? parseRateLimit(process.env.MRMD_RATE_LIMIT)
+      : DEFAULT_TOKEN_LIMIT);
+    this.trustProxy = trustProxy;
+
+    /** @type {Map<string, { count: number, lockedUntil: number, lastFailure: number }>} */
+    this.failures = new Map();
+    /** @type {Map<string, { count: number, windowStart: number }>} */
+    this.windows = new Map();
+
+    this.pruneInterval = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+    this.pruneInterval.unref?.();
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @returns {string}
+   */
+  ipOf(req) {
+    return clientIp(req, this.trustProxy);
+  }
+
+  /**
+   * Seconds until an IP may try to authenticate again (0 if not locked out)
+   * @param {string} ip
+   * @returns {number}
+   */
+  lockedFor(ip) {
+    const entry = this.failures.get(ip);
+    if (!entry) return 0;
+    const remaining = entry.lockedUntil - Date.now();
+    return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+  }
+
+  /**
+   * Record a failed authentication attempt
+   * @param {string} ip
+   * @returns {number} Lockout now in effect, in seconds (0 while attempts are free)
+   */
+  recordFailure(ip) {
+    const now = Date.now();
+    let entry = this.failures.get(ip);
+    if (!entry || now - entry.lastFailure > FORGET_AFTER_MS) {
+      entry = { count: 0, lockedUntil: 0, lastFailure: now };
+      this.failures.set(ip, entry);
+    }
+
+    entry.count++;
+    entry.lastFailure = now;
+
+    if (entry.count > FREE_ATTEMPTS) {
+      const lockout = Math.min(BASE_LOCKOUT_MS * 2 ** (entry.count - FREE_ATTEMPTS - 1), MAX_LOCKOUT_MS);
+      entry.lockedUntil = now + lockout;
+      console.warn(`[auth] ${ip} locked out for ${Math.ceil(lockout / 1000)}s after ${entry.count} failed attempts`);
+      return Math.ceil(lockout / 1000);
+    }
+    return 0;
+  }
+
+  /**
+   * Count a request against a token's rate limit
+   * @param {string|null} tokenId
+   * @returns {number} 0 if allowed, otherwise seconds until the window resets
+   */
+  consume(tokenId) {
+    if (!tokenId || !this.tokenLimit) return 0;
+
+    const now = Date.now();
+    let window = this.windows.get(tokenId);
+    if (!window || now - window.windowStart >= TOKEN_WINDOW_MS) {
+      window = { count: 0, windowStart: now };
+      this.windows.set(tokenId, window);
+    }
+
+    window.count++;
+    if (window.count > this.tokenLimit) {
+      if (window.count === this.tokenLimit + 1) {
+        console.warn(`[auth] Token ${tokenId} exceeded ${this.tokenLimit} requests/minute`);
+      }
+      return Math.max(1, Math.ceil((window.windowStart + TOKEN_WINDOW_MS - now) / 1000));
+    }
+    return 0;
+  }
+
+  /**
+   * Drop stale entries
+   */
+  prune() {
+    const now = Date.now();
+    for (const [ip, entry] of this.failures) {
+      if (now - entry.lastFailure > FORGET_AFTER_MS && entry.lockedUntil <= now) {
+        this.failures.delete(ip);
+      }
+    }
+    for (const [tokenId, window] of this.windows) {
+      if (now - window.windowStart >= TOKEN_WINDOW_MS) {
+        this.windows.delete(tokenId);
+      }
+    }
+  }
+
+  stop() {
+    clearInterval(this.pruneInterval);
+  }
+}
+
+/**
+ * Send a 429 with Retry-After
+ * @param {import('express').Response} res
+ * @param {number} retryAfter - Seconds
+ * @param {string} [error]
+ */
+export function sendTooManyRequests(res, retryAfter, error = 'Too many requests') {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error, retryAfter });
+}
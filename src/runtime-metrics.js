@@ -0,0 +1,327 @@
+/**
+ * RuntimeMetrics — what runtime sessions cost, read from /proc
+ *
+ * For every session RuntimeService tracks, the process tree under its PID
+ * (the runtime and everything it spawned) is summed up: resident memory,
+ * CPU usage, uptime, number of child processes and the TCP ports it
+ * listens on.
+ *
+ * CPU% is measured between two samples of the same session: the interval
+ * since the previous collect(), or the runtime's lifetime on the first one.
+ * 100% is one core, so busy multi-threaded runtimes can go above it.
+ *
+ * With an interval (config.metricsInterval, CLI --metrics-interval,
+ * MRMD_METRICS_INTERVAL; seconds, off by default) a `runtime:metrics` event
+ * goes out per working directory with that directory's runtimes.
+ *
+ * Linux only; elsewhere (and for sessions without a local PID, as in cloud
+ * mode) the metrics are reported as unavailable.
+ */
+
+import fs from 'fs';
+import { execFileSync } from 'child_process';
+
+/** Shortest allowed broadcast interval */
+const MIN_INTERVAL_MS = 2000;
+
+const PROC = '/proc';
+
+let systemConstants = null;
+
+/**
+ * Clock ticks per second and page size, from getconf (with the usual
+ * Linux values as fallback)
+ */
+function constants() {
+  if (!systemConstants) {
+    const getconf = (name, fallback) => {
+      try {
+        return parseInt(execFileSync('getconf', [name], { encoding: 'utf8' }), 10) || fallback;
+      } catch {
+        return fallback;
+      }
+    };
+    systemConstants = { clockTicks: getconf('CLK_TCK', 100), pageSize: getconf('PAGESIZE', 4096) };
+  }
+  return systemConstants;
+}
+
+/**
+ * Parse /proc/<pid>/stat
+ * @param {number} pid
+ * @returns {{ ppid: number, cpuTicks: number, startTicks: number }|null}
+ */
+function readStat(pid) {
+  try {
+    const stat = fs.readFileSync(`${PROC}/${pid}/stat`, 'utf8');
+    // The command name (field 2) may contain spaces and parentheses
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    return {
+      ppid: Number(fields[1]),
+      cpuTicks: Number(fields[11]) + Number(fields[12]),
+      startTicks: Number(fields[19]),
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Every process and its children
+ * @returns {{ pids: Set<number>, children: Map<number, number[]> }}
+ */
+function readProcesses() {
+  const pids = new Set();
+  const children = new Map();
+  for (const entry of fs.readdirSync(PROC)) {
+    if (!/^\d+$/.test(entry)) continue;
+    const stat = readStat(Number(entry));
+    if (!stat) continue;
+    pids.add(Number(entry));
+    if (!children.has(stat.ppid)) children.set(stat.ppid, []);
+    children.get(stat.ppid).push(Number(entry));
+  }
+  return { pids, children };
+}
+
+/**
+ * A PID and all its descendants
+ * @param {number} pid
+ * @param {Map<number, number[]>} children
+ * @returns {number[]}
+ */
+function processTree(pid, children) {
+  const tree = [];
+  const queue = [pid];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    tree.push(current);
+    queue.push(...(children.get(current) || []));
+  }
+  return tree;
+}
+
+/**
+ * Resident memory of a process in bytes
+ * @param {number} pid
+ * @returns {number}
+ */
+function readRss(pid) {
+  try {
+    const resident = Number(fs.readFileSync(`${PROC}/${pid}/statm`, 'utf8').split(' ')[1]);
+    return resident * constants().pageSize;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Socket inodes a process has open
+ * @param {number} pid
+ * @returns {string[]}
+ */
+function readSocketInodes(pid) {
+  const inodes = [];
+  try {
+    for (const fd of fs.readdirSync(`${PROC}/${pid}/fd`)) {
+      try {
+        const target = fs.readlinkSync(`${PROC}/${pid}/fd/${fd}`);
+        const match = target.match(/^socket:\[(\d+)\]$/);
+        if (match) inodes.push(match[1]);
+      } catch {
+        // fd closed meanwhile
+      }
+    }
+  } catch {
+    // Process gone, or not ours
+  }
+  return inodes;
+}
+
+/**
+ * Listening TCP sockets on the machine
+ * @returns {Map<string, number>} socket inode -> port
+ */
+function readListeningPorts() {
+  const ports = new Map();
+  for (const file of ['tcp', 'tcp6']) {
+    let table;
+    try {
+      table = fs.readFileSync(`${PROC}/net/${file}`, 'utf8');
+    } catch {
+      continue;
+    }
+    for (const line of table.split('\n').slice(1)) {
+      const columns = line.trim().split(/\s+/);
+      // st 0A is LISTEN
+      if (columns.length < 10 || columns[3] !== '0A') continue;
+      ports.set(columns[9], parseInt(columns[1].split(':').pop(), 16));
+    }
+  }
+  return ports;
+}
+
+export class RuntimeMetrics {
+  /**
+   * @param {Object} options
+   * @param {Object} options.runtimeService - Sessions to measure (list/processes)
+   * @param {import('./events.js').EventBus} [options.eventBus]
+   * @param {number} [options.interval] - Broadcast every this many ms (0: never;
+   *   default: MRMD_METRICS_INTERVAL seconds)
+   */
+  constructor({ runtimeService, eventBus = null, interval }) {
+    this.runtimeService = runtimeService;
+    this.eventBus = eventBus;
+    const ms = interval ?? (parseInt(process.env.MRMD_METRICS_INTERVAL || '0', 10) * 1000);
+    this.interval = ms > 0 ? Math.max(MIN_INTERVAL_MS, ms) : 0;
+
+    /** @type {Map<string, { pid: number, cpuTicks: number, at: number }>} session name -> last CPU sample */
+    this.samples = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * PID of a session's runtime process
+   * @param {Object} session - From runtimeService.list()
+   * @returns {number|null}
+   */
+  _pid(session) {
+    return session.pid || this.runtimeService.processes?.get(session.name)?.pid || null;
+  }
+
+  /**
+   * Metrics of one session
+   * @param {Object} session - From runtimeService.list()
+   * @param {Object} [snapshot] - Shared /proc reads (see _snapshot)
+   * @returns {Object}
+   */
+  _measure(session, snapshot = this._snapshot()) {
+    const base = { name: session.name, language: session.language, cwd: session.cwd || null, pid: null };
+    const pid = this._pid(session);
+    if (!snapshot || !pid || !snapshot.pids.has(pid)) {
+      return { ...base, available: false };
+    }
+
+    const { clockTicks } = constants();
+    const tree = processTree(pid, snapshot.children);
+    let rssBytes = 0;
+    let cpuTicks = 0;
+    const ports = new Set();
+    for (const member of tree) {
+      rssBytes += readRss(member);
+      cpuTicks += readStat(member)?.cpuTicks || 0;
+      for (const inode of readSocketInodes(member)) {
+        if (snapshot.listening.has(inode)) ports.add(snapshot.listening.get(inode));
+      }
+    }
+
+    const now = Date.now();
+    const startTicks = readStat(pid)?.startTicks || 0;
+    const uptimeSeconds = Math.max(0, snapshot.bootUptime - startTicks / clockTicks);
+
+    // CPU since the last sample of this process, else over its lifetime
+    const previous = this.samples.get(session.name);
+    const cpuPercent = previous?.pid === pid && now > previous.at
+      ? ((cpuTicks - previous.cpuTicks) / clockTicks) / ((now - previous.at) / 1000) * 100
+      : (uptimeSeconds > 0 ? (cpuTicks / clockTicks) / uptimeSeconds * 100 : 0);
+    this.samples.set(session.name, { pid, cpuTicks, at: now });
+
+    return {
+      ...base,
+      pid,
+      available: true,
+      rssBytes,
+      cpuPercent: Math.max(0, Math.round(cpuPercent * 10) / 10),
+      uptimeSeconds: Math.round(uptimeSeconds),
+      childProcesses: tree.length - 1,
+      ports: [...ports].sort((a, b) => a - b),
+    };
+  }
+
+  /**
+   * /proc state shared by all sessions of one collection
+   * @returns {{ pids: Set<number>, children: Map<number, number[]>, listening: Map<string, number>, bootUptime: number }|null}
+   *   null without /proc
+   */
+  _snapshot() {
+    try {
+      return {
+        ...readProcesses(),
+        listening: readListeningPorts(),
+        bootUptime: parseFloat(fs.readFileSync(`${PROC}/uptime`, 'utf8')),
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Metrics of one session
+   * @param {string} name
+   * @returns {Object|null} null if there is no such session
+   */
+  collect(name) {
+    const session = this.runtimeService.list().find((s) => s.name === name);
+    return session ? this._measure(session) : null;
+  }
+
+  /**
+   * Metrics of every session, with totals
+   * @param {(session: Object) => boolean} [include] - Only measure (and total) these sessions
+   * @returns {{ runtimes: Object[], totals: { runtimes: number, rssBytes: number, cpuPercent: number, processes: number }, sampledAt: string }}
+   */
+  collectAll(include = () => true) {
+    const sessions = this.runtimeService.list();
+    const live = new Set(sessions.map((session) => session.name));
+    for (const name of this.samples.keys()) {
+      if (!live.has(name)) this.samples.delete(name);
+    }
+
+    const snapshot = this._snapshot();
+    const runtimes = sessions.filter(include).map((session) => this._measure(session, snapshot));
+    const measured = runtimes.filter((runtime) => runtime.available);
+    return {
+      runtimes,
+      totals: {
+        runtimes: runtimes.length,
+        rssBytes: measured.reduce((sum, runtime) => sum + runtime.rssBytes, 0),
+        cpuPercent: Math.round(measured.reduce((sum, runtime) => sum + runtime.cpuPercent, 0) * 10) / 10,
+        processes: measured.reduce((sum, runtime) => sum + runtime.childProcesses + 1, 0),
+      },
+      sampledAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Send a runtime:metrics event per working directory
+   */
+  broadcast() {
+    const { runtimes, sampledAt } = this.collectAll();
+    const byCwd = new Map();
+    for (const runtime of runtimes) {
+      if (!byCwd.has(runtime.cwd)) byCwd.set(runtime.cwd, []);
+      byCwd.get(runtime.cwd).push(runtime);
+    }
+    for (const [cwd, group] of byCwd) {
+      this.eventBus?.runtimeMetrics({ cwd, runtimes: group, sampledAt });
+    }
+  }
+
+  start() {
+    if (!this.interval || this.timer) return;
+    console.log(`[metrics] Broadcasting runtime metrics every ${this.interval / 1000}s`);
+    this.timer = setInterval(() => {
+      try {
+        this.broadcast();
+      } catch (err) {
+        console.error('[metrics]', err);
+      }
+    }, this.interval);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
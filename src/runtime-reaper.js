@@ -0,0 +1,228 @@
+/**
+ * RuntimeReaper — stops runtime sessions nobody has used for a while
+ *
+ * RuntimeService spawns detached processes that otherwise live until they
+ * are stopped explicitly. The reaper records the last activity of every
+ * session, as seen by the server: /proxy requests and MRP/PTY WebSocket
+ * messages to the session's port, and headless notebook runs. A session
+ * idle for longer than its language's timeout is stopped and a
+ * `runtime:reaped` event is sent; sessions with a request in flight or an
+ * open MRP/PTY socket are never stopped.
+ *
+ * Reaping is off unless configured: timeouts come from config.idleTimeouts
+ * (CLI: --idle-timeout), else MRMD_IDLE_TIMEOUT, e.g. "1h",
+ * "python=2h,bash=15m" or "off"; 0 means never. Notebooks opt out with the `keepAlive` runtime preference, which
+ * the runtime resolver passes on for the session it starts.
+ *
+ * Sessions the reaper hasn't seen before (e.g. recovered from the registry
+ * after a restart) count as active from the moment it first sees them.
+ */
+
+import { parseTtl } from './user-store.js';
+import { normalizeRuntimeLanguage } from './api/runtime.js';
+
+/** Idle timeout for languages without their own (0: never) */
+const DEFAULT_IDLE_TIMEOUT_MS = 0;
+
+/** How often sessions are checked */
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Parse an idle timeout spec: "<duration>", "<language>=<duration>" or a
+ * comma-separated list of them. Durations are seconds or e.g. 30m, 2h;
+ * "0" or "off" means never. Language aliases (py, sh, ...) count for the
+ * language they stand for.
+ * @param {string|string[]} spec
+ * @returns {Object<string, number>} language (or "default") -> milliseconds
+ * @throws {Error} Invalid entry
+ */
+export function parseIdleTimeouts(spec) {
+  const timeouts = {};
+  const parts = (Array.isArray(spec) ? spec : [spec])
+    .flatMap((entry) => String(entry ?? '').split(','))
+    .map((part) => part.trim())
+    .filter(Boolean);
+
+  for (const part of parts) {
+    const separator = part.indexOf('=');
+    const language = separator === -1 ? 'default' : part.slice(0, separator).trim();
+    const duration = part.slice(separator + 1).trim().toLowerCase();
+    if (!language || !duration) {
+      throw new Error(`Invalid idle timeout "${part}" (expected e.g. 30m or python=2h)`);
+    }
+    timeouts[normalizeRuntimeLanguage(language)] = (duration === 'off' || duration === '0')
+      ? 0
+      : parseTtl(duration);
+  }
+  return timeouts;
+}
+
+export class RuntimeReaper {
+  /**
+   * @param {Object} options
+   * @param {Object} options.runtimeService - Sessions to watch (list/stop)
+   * @param {import('./events.js').EventBus} [options.eventBus]
+   * @param {Object<string, number>} [options.idleTimeouts] - language (or
+   *   "default") -> milliseconds; 0 disables
+   */
+  constructor({ runtimeService, eventBus = null, idleTimeouts }) {
+    this.runtimeService = runtimeService;
+    this.eventBus = eventBus;
+    this.idleTimeouts = {
+      default: DEFAULT_IDLE_TIMEOUT_MS,
+      ...(idleTimeouts ?? parseIdleTimeouts(process.env.MRMD_IDLE_TIMEOUT || '')),
+    };
+
+    /** @type {Map<string, { lastActivity: number, busy: number, keepAlive: boolean }>} session name -> activity */
+    this.activity = new Map();
+    this.interval = null;
+  }
+
+  _entry(name) {
+    let entry = this.activity.get(name);
+    if (!entry) {
+      entry = { lastActivity: Date.now(), busy: 0, keepAlive: false };
+      this.activity.set(name, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Session listening on a port
+   * @param {number} port
+   * @returns {string|null}
+   */
+  sessionForPort(port) {
+    return this.runtimeService.list().find((session) => session.port === port)?.name || null;
+  }
+
+  /**
+   * Idle timeout for a language
+   * @param {string} language
+   * @returns {number} Milliseconds (0: never)
+   */
+  timeoutFor(language) {
+    return this.idleTimeouts[language] ?? this.idleTimeouts.default;
+  }
+
+  /**
+   * Record activity on a session
+   * @param {string} name
+   */
+  touch(name) {
+    if (name) this._entry(name).lastActivity = Date.now();
+  }
+
+  /**
+   * Record activity on whatever session listens on a port
+   * @param {number} port
+   */
+  touchPort(port) {
+    this.touch(this.sessionForPort(port));
+  }
+
+  /**
+   * Mark a session busy until the returned function is called (e.g. a
+   * proxied execute request that may take longer than the timeout)
+   * @param {string|null} name
+   * @returns {() => void}
+   */
+  begin(name) {
+    if (!name) return () => {};
+    const entry = this._entry(name);
+    entry.busy++;
+    entry.lastActivity = Date.now();
+
+    let ended = false;
+    return () => {
+      if (ended) return;
+      ended = true;
+      entry.busy = Math.max(0, entry.busy - 1);
+      entry.lastActivity = Date.now();
+    };
+  }
+
+  /**
+   * Exempt a session from (or expose it to) reaping
+   * @param {string} name
+   * @param {boolean} keepAlive
+   */
+  setKeepAlive(name, keepAlive) {
+    if (name) this._entry(name).keepAlive = Boolean(keepAlive);
+  }
+
+  /**
+   * Idle state of a session, for the runtime list
+   * @param {Object} session - From runtimeService.list()
+   * @returns {{ lastActivityAt: string, idleTimeout: number, keepAlive: boolean }}
+   */
+  describe(session) {
+    const entry = this._entry(session.name);
+    return {
+      lastActivityAt: new Date(entry.lastActivity).toISOString(),
+      idleTimeout: this.timeoutFor(session.language),
+      keepAlive: entry.keepAlive,
+    };
+  }
+
+  /**
+   * Stop every session idle beyond its timeout
+   * @param {number} [now]
+   * @returns {Promise<string[]>} Names of the stopped sessions
+   */
+  async sweep(now = Date.now()) {
+    const sessions = this.runtimeService.list();
+    const live = new Set(sessions.map((session) => session.name));
+    for (const name of this.activity.keys()) {
+      if (!live.has(name)) this.activity.delete(name);
+    }
+
+    const reaped = [];
+    for (const session of sessions) {
+      const entry = this._entry(session.name);
+      const timeout = this.timeoutFor(session.language);
+      const idleFor = now - entry.lastActivity;
+      if (!timeout || entry.keepAlive || entry.busy > 0 || idleFor < timeout) continue;
+
+      console.log(`[reaper] Stopping "${session.name}" (${session.language}), idle for ${Math.round(idleFor / 60000)}m`);
+      try {
+        await this.runtimeService.stop(session.name);
+      } catch (err) {
+        console.warn(`[reaper] Failed to stop "${session.name}":`, err.message);
+        continue;
+      }
+      this.activity.delete(session.name);
+      reaped.push(session.name);
+      this.eventBus?.runtimeReaped({
+        name: session.name,
+        language: session.language,
+        cwd: session.cwd || null,
+        idleMs: idleFor,
+        idleTimeout: timeout,
+        reapedAt: new Date().toISOString(),
+      });
+    }
+    return reaped;
+  }
+
+  start() {
+    if (this.interval) return;
+    if (!Object.values(this.idleTimeouts).some(Boolean)) {
+      console.log('[reaper] Idle runtimes are kept (enable with --idle-timeout)');
+      return;
+    }
+    const timeouts = Object.entries(this.idleTimeouts)
+      .map(([language, ms]) => `${language}=${ms ? `${Math.round(ms / 60000)}m` : 'off'}`)
+      .join(', ');
+    console.log(`[reaper] Idle runtime timeouts: ${timeouts}`);
+    this.interval = setInterval(() => {
+      this.sweep().catch((err) => console.error('[reaper]', err));
+    }, SWEEP_INTERVAL_MS);
+    this.interval.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.interval);
+    this.interval = null;
+  }
+}
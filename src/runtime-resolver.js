@@ -17,7 +17,7 @@
  *    - Works when installed via npx / npm
  *
  * Each language needs:
- *   - envKey:       upper-case name for env vars (e.g., "R", "JULIA", "RUBY")
+ *   - envKey:       upper-case name for env vars (e.g., "R", "JULIA", "JS")
  *   - packageName:  directory name (e.g., "mrmd-r", "mrmd-julia")
  *   - markerFile:   file that proves the dir is valid (e.g., "DESCRIPTION", "Project.toml")
  *   - cliPath:      relative path inside the package to the CLI script
@@ -45,6 +45,12 @@ export const LANGUAGES = {
     markerFile: 'Project.toml',
     cliPath: 'bin/mrmd-julia',        // adjust when mrmd-julia exists
   },
+  javascript: {
+    envKey: 'JS',
+    packageName: 'mrmd-js',
+    markerFile: 'package.json',
+    cliPath: 'bin/mrmd-js.js',
+  },
   ruby: {
     envKey: 'RUBY',
     packageName: 'mrmd-ruby',
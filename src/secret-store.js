@@ -0,0 +1,283 @@
+/**
+ * SecretStore — secrets encrypted at rest with a server master key
+ *
+ * Secrets (provider API keys, and anything else named) are stored in
+ * ~/.config/mrmd/secrets.json, each encrypted with AES-256-GCM. The file
+ * holds no plaintext; settings.json keeps only empty `apiKeys` placeholders.
+ *
+ * The master key comes from (first match wins):
+ *   1. MRMD_MASTER_KEY — any string; stretched with scrypt
+ *   2. ~/.config/mrmd/master.key — 32 random bytes (base64), created on
+ *      first use with 0600 permissions. A key file readable by other users
+ *      is refused.
+ *
+ * Losing the master key means losing the secrets: they must be entered
+ * again. API keys that were stored in plaintext by older versions are moved
+ * in by migratePlaintextApiKeys() at startup.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CONFIG_DIR } from './vendor/config.js';
+
+export const SECRETS_FILE = path.join(CONFIG_DIR, 'secrets.json');
+export const MASTER_KEY_FILE = path.join(CONFIG_DIR, 'master.key');
+
+/**
+ * settings.json locations that may hold plaintext keys: SettingsService uses
+ * CONFIG_DIR (XDG-aware), the settings/voice routes ~/.config/mrmd
+ */
+const SETTINGS_FILES = [
+  path.join(CONFIG_DIR, 'settings.json'),
+  path.join(os.homedir(), '.config', 'mrmd', 'settings.json'),
+];
+
+/** Prefix of API key secret names: "apiKeys.<provider>" */
+const API_KEY_PREFIX = 'apiKeys.';
+
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Mask a secret for display (first 8 and last 4 characters)
+ * @param {string} value
+ * @returns {string}
+ */
+export function maskSecret(value) {
+  if (value && value.length > 12) {
+    return `${value.slice(0, 8)}${'•'.repeat(value.length - 12)}${value.slice(-4)}`;
+  }
+  return value ? '•'.repeat(value.length) : '';
+}
+
+/**
+ * Load (or create) the master key
+ * @param {string} keyFile
+ * @returns {Buffer} 32-byte key
+ */
+function loadMasterKey(keyFile) {
+  if (process.env.MRMD_MASTER_KEY) {
+    return crypto.scryptSync(process.env.MRMD_MASTER_KEY, 'mrmd-secret-store', 32);
+  }
+
+  if (fs.existsSync(keyFile)) {
+    if (process.platform !== 'win32') {
+      const mode = fs.statSync(keyFile).mode & 0o777;
+      if (mode & 0o077) {
+        throw new Error(
+          `Master key file ${keyFile} is accessible by other users (mode ${mode.toString(8)}); run: chmod 600 "${keyFile}"`
+        );
+      }
+    }
+    const key = Buffer.from(fs.readFileSync(keyFile, 'utf8').trim(), 'base64');
+    if (key.length !== 32) {
+      throw new Error(`Master key file ${keyFile} is invalid (expected 32 base64-encoded bytes)`);
+    }
+    return key;
+  }
+
+  fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+  const key = crypto.randomBytes(32);
+  fs.writeFileSync(keyFile, key.toString('base64') + '\n', { mode: 0o600, flag: 'wx' });
+  console.log(`[secrets] Created master key ${keyFile}`);
+  return key;
+}
+
+export class SecretStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.secretsFile]
+   * @param {string} [options.keyFile]
+   */
+  constructor({ secretsFile = SECRETS_FILE, keyFile = MASTER_KEY_FILE } = {}) {
+    this.secretsFile = secretsFile;
+    this.keyFile = keyFile;
+    this.key = null;
+    /** @type {Map<string, string>|null} Decrypted secrets, loaded lazily */
+    this.cache = null;
+    /** Entries that didn't decrypt (wrong key); written back untouched */
+    this.undecryptable = {};
+  }
+
+  _load() {
+    if (this.cache) return this.cache;
+
+    this.key = loadMasterKey(this.keyFile);
+    this.cache = new Map();
+
+    if (!fs.existsSync(this.secretsFile)) return this.cache;
+
+    const stored = JSON.parse(fs.readFileSync(this.secretsFile, 'utf8'));
+    for (const [name, entry] of Object.entries(stored.secrets || {})) {
+      try {
+        const decipher = crypto.createDecipheriv(ALGORITHM, this.key, Buffer.from(entry.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+        const plaintext = Buffer.concat([
+          decipher.update(Buffer.from(entry.data, 'base64')),
+          decipher.final(),
+        ]);
+        this.cache.set(name, plaintext.toString('utf8'));
+      } catch {
+        this.undecryptable[name] = entry;
+        console.error(`[secrets] Cannot decrypt "${name}" — wrong master key? Restore the original key or set it again.`);
+      }
+    }
+    return this.cache;
+  }
+
+  _save() {
+    const secrets = {};
+    for (const [name, entry] of Object.entries(this.undecryptable)) {
+      if (!this.cache.has(name)) secrets[name] = entry;
+    }
+    for (const [name, value] of this.cache) {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+      const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+      secrets[name] = {
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+      };
+    }
+
+    fs.mkdirSync(path.dirname(this.secretsFile), { recursive: true });
+    const tmp = `${this.secretsFile}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ version: 1, algorithm: ALGORITHM, secrets }, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, this.secretsFile);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {string|undefined}
+   */
+  get(name) {
+    return this._load().get(name);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean}
+   */
+  has(name) {
+    return Boolean(this._load().get(name));
+  }
+
+  /**
+   * Set a secret; an empty value deletes it
+   * @param {string} name
+   * @param {string} value
+   */
+  set(name, value) {
+    const cache = this._load();
+    if (value) {
+      cache.set(name, String(value));
+    } else {
+      cache.delete(name);
+    }
+    delete this.undecryptable[name];
+    this._save();
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean} Whether it existed
+   */
+  delete(name) {
+    const existed = this._load().delete(name) || name in this.undecryptable;
+    delete this.undecryptable[name];
+    if (existed) this._save();
+    return existed;
+  }
+
+  /**
+   * Names of stored secrets, optionally under a prefix
+   * @param {string} [prefix]
+   * @returns {string[]}
+   */
+  list(prefix = '') {
+    return [...this._load().keys()].filter((name) => name.startsWith(prefix));
+  }
+
+  // ==========================================================================
+  // API KEYS
+  // ==========================================================================
+
+  /**
+   * All provider API keys
+   * @returns {Object<string, string>} provider -> key
+   */
+  getApiKeys() {
+    const keys = {};
+    for (const name of this.list(API_KEY_PREFIX)) {
+      keys[name.slice(API_KEY_PREFIX.length)] = this.get(name);
+    }
+    return keys;
+  }
+
+  /**
+   * @param {string} provider
+   * @returns {string} Key or empty string
+   */
+  getApiKey(provider) {
+    return this.get(API_KEY_PREFIX + provider) || '';
+  }
+
+  /**
+   * @param {string} provider
+   * @param {string} key - Empty to remove
+   */
+  setApiKey(provider, key) {
+    this.set(API_KEY_PREFIX + provider, key);
+  }
+
+  /**
+   * Move plaintext `apiKeys` out of settings files into the store, leaving
+   * empty placeholders behind. Safe to run on every startup.
+   * @param {string[]} [settingsFiles]
+   * @returns {number} Number of keys migrated
+   */
+  migratePlaintextApiKeys(settingsFiles = SETTINGS_FILES) {
+    let migrated = 0;
+
+    for (const file of new Set(settingsFiles)) {
+      let settings;
+      try {
+        settings = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch {
+        continue;
+      }
+
+      const plaintext = Object.entries(settings.apiKeys || {}).filter(([, key]) => key);
+      if (plaintext.length === 0) continue;
+
+      for (const [provider, key] of plaintext) {
+        // Keys already in the store were set more recently; keep those
+        if (!this.getApiKey(provider)) {
+          this.setApiKey(provider, key);
+          migrated++;
+        }
+        settings.apiKeys[provider] = '';
+      }
+
+      fs.writeFileSync(file, JSON.stringify(settings, null, 2));
+      console.log(`[secrets] Removed ${plaintext.length} plaintext API key(s) from ${file}`);
+    }
+
+    return migrated;
+  }
+}
+
+let sharedStore = null;
+
+/**
+ * Process-wide store used by the server, settings routes, voice and AI service
+ * @returns {SecretStore}
+ */
+export function getSecretStore() {
+  if (!sharedStore) {
+    sharedStore = new SecretStore();
+  }
+  return sharedStore;
+}
@@ -7,6 +7,7 @@
 import express from 'express';
 import cors from 'cors';
 import { createServer as createHttpServer } from 'http';
+import { createServer as createHttpsServer } from 'https';
 import { WebSocketServer, WebSocket as WsClient } from 'ws';
 import path from 'path';
 import fs from 'fs/promises';
@@ -17,19 +18,49 @@ import { Readable } from 'stream';
 
 const require = createRequire(import.meta.url);
 
-import { createAuthMiddleware, generateToken } from './auth.js';
+import {
+  createAuthMiddleware,
+  generateToken,
+  extractToken,
+  validateWsToken,
+  authenticateUpgrade,
+  getRequestSession,
+  hasScope,
+  isPathAllowed,
+} from './auth.js';
+import {
+  SessionStore,
+  cookieMiddleware,
+  serializeCookie,
+  SESSION_COOKIE,
+  CSRF_COOKIE,
+} from './session-store.js';
+import { UserStore } from './user-store.js';
+import { PathGuard, resolveAllowedRoots } from './path-guard.js';
+import { loadTlsOptions } from './tls.js';
+import { AuditLog } from './audit-log.js';
+import { AuthThrottle, sendTooManyRequests } from './rate-limit.js';
+import { getSecretStore } from './secret-store.js';
 import { EventBus } from './events.js';
+import { PresenceTracker } from './presence.js';
+import { JobScheduler } from './job-scheduler.js';
+import { RuntimeReaper } from './runtime-reaper.js';
+import { RuntimeMetrics } from './runtime-metrics.js';
 import { createProjectRoutes } from './api/project.js';
 import { createFileRoutes } from './api/file.js';
 import { createAssetRoutes } from './api/asset.js';
 import { createSystemRoutes } from './api/system.js';
-import { createRuntimeRoutes } from './api/runtime.js';
-import { createNotebookRoutes } from './api/notebook.js';
+import { createRuntimeRoutes, createEffectiveRuntimeResolver } from './api/runtime.js';
+import { createNotebookRoutes, listNotebookSyncPorts } from './api/notebook.js';
 import { createSettingsRoutes } from './api/settings.js';
 import { createLanguageToolRoutes } from './api/languagetool.js';
 import { createVoiceRoutes } from './api/voice.js';
 import { createUserRoutes } from './api/user.js';
-import { setupWebSocket } from './websocket.js';
+import { createAdminRoutes } from './api/admin.js';
+import { createPresenceRoutes } from './api/presence.js';
+import { createEventRoutes } from './api/events.js';
+import { createJobRoutes } from './api/jobs.js';
+import { setupWebSocket, watchTokenLifecycle } from './websocket.js';
 
 // Cloud mode: use CloudSessionService that connects to a pre-existing runtime container
 import CloudSessionService from './cloud-session-service.js';
@@ -57,7 +88,7 @@ import {
 } from './sync-manager.js';
 
 // Import AI service for mrmd-ai server management
-import { stopAiServer } from './ai-service.js';
+import { stopAiServer, getAiServer } from './ai-service.js';
 
 // Cloud seeding: materialize relay documents to filesystem on startup
 import { seedFromRelay, startProjectWatcher } from './cloud-seed.js';
@@ -74,11 +105,23 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
  * @property {string} projectDir - Root project directory
  * @property {string} [token] - Auth token (generated if not provided)
  * @property {boolean} [noAuth] - Disable auth (for local dev only!)
+ * @property {string[]} [allowedRoots] - Workspace roots file APIs are confined to
+ *   (default: MRMD_ALLOWED_ROOTS, then projectDir, then home)
  * @property {string} [staticDir] - Custom static files directory
  * @property {string} [electronDir] - Path to mrmd-electron for index.html
  * @property {number} [syncPort] - mrmd-sync port (default: 4444)
  * @property {number} [pythonPort] - mrmd-python port (default: 8000)
  * @property {number} [aiPort] - mrmd-ai port (default: 51790)
+ * @property {number[]} [allowedPorts] - Extra local ports /proxy and /sync may forward to
+ * @property {number} [rateLimit] - Requests per token per minute (default: 1200, 0 disables)
+ * @property {boolean} [trustProxy] - Behind one reverse proxy: take client IPs from X-Forwarded-For
+ * @property {string} [tlsCert] - PEM certificate path (serve HTTPS/WSS)
+ * @property {string} [tlsKey] - PEM private key path
+ * @property {boolean} [tlsSelfSigned] - Serve HTTPS with a generated, cached self-signed certificate
+ * @property {Object<string, number>} [idleTimeouts] - Stop runtimes idle this long: language
+ *   (or "default") -> ms, 0 never (default: MRMD_IDLE_TIMEOUT, else never)
+ * @property {number} [metricsInterval] - Broadcast runtime:metrics every this many ms
+ *   (default: MRMD_METRICS_INTERVAL seconds, else never)
  */
 
 /**
@@ -92,11 +135,20 @@ export async function createServer(config) {
     projectDir,
     token: configuredToken,
     noAuth = false,
+    allowedRoots,
     staticDir,
     electronDir,
     syncPort = 4444,
     pythonPort = 8000,
     aiPort = 51790,
+    allowedPorts = [],
+    rateLimit,
+    idleTimeouts,
+    metricsInterval,
+    trustProxy = process.env.MRMD_TRUST_PROXY === '1',
+    tlsCert,
+    tlsKey,
+    tlsSelfSigned = false,
   } = config;
   const token = (
     typeof configuredToken === 'string' &&
@@ -105,15 +157,37 @@ export async function createServer(config) {
     configuredToken !== 'undefined'
   ) ? configuredToken : generateToken();
 
+  // Named users + per-user tokens; the primary token resolves to the owner
+  const userStore = new UserStore({ primaryToken: token });
+
+  // Browser sessions (login page → HttpOnly cookie)
+  const sessions = new SessionStore(userStore);
+
+  // Failed-attempt lockouts per IP and request limits per token
+  const authThrottle = new AuthThrottle({ tokenLimit: rateLimit, trustProxy });
+  const cookiePath = process.env.BASE_PATH || '/';
+
   // projectDir is optional now - dynamic project detection is supported
   if (!projectDir) {
     console.log('[server] No projectDir specified - dynamic project detection enabled');
   }
 
+  const tls = await loadTlsOptions({ tlsCert, tlsKey, tlsSelfSigned, host });
+
   const app = express();
-  const server = createHttpServer(app);
+  if (trustProxy) {
+    // Must agree with AuthThrottle's reading of X-Forwarded-For
+    app.set('trust proxy', 1);
+  }
+  // /events and /sync upgrades ride on the same server, so TLS covers wss:// too
+  const server = tls
+    ? createHttpsServer({ cert: tls.cert, key: tls.key }, app)
+    : createHttpServer(app);
   const eventBus = new EventBus();
 
+  // Who is connected to /events and which document each has open
+  const presence = new PresenceTracker(eventBus);
+
   // Cloud mode: connect to pre-existing runtime container instead of spawning locally
   const cloudMode = process.env.CLOUD_MODE === '1';
   const runtimePort = parseInt(process.env.RUNTIME_PORT || '0', 10);
@@ -151,7 +225,7 @@ export async function createServer(config) {
           acquireSyncServer(projDir).catch(() => {});
         }
         // Emit event so open browser tabs can refresh their nav tree
-        eventBus.emit('project-updated', { project, newDocs: docs });
+        eventBus.projectUpdated({ project, projectDir: projDir, newDocs: docs });
       },
     });
   }
@@ -176,8 +250,14 @@ export async function createServer(config) {
     : new RuntimeService();
   const fileService = new FileService();
   const assetService = new AssetService();
-  const settingsService = new SettingsService();
-  const runtimePreferencesService = new RuntimePreferencesService({ projectService });
+  // API keys are encrypted at rest; move any plaintext ones over first
+  const secretStore = getSecretStore();
+  const migratedKeys = secretStore.migratePlaintextApiKeys();
+  if (migratedKeys > 0) {
+    console.log(`[server] Encrypted ${migratedKeys} API key(s) from settings.json`);
+  }
+  const settingsService = new SettingsService({ secretStore });
+  const runtimePreferencesService = new RuntimePreferencesService({ projectService, secretStore });
   const languageToolService = new LanguageToolService({
     distributionDirs: [
       path.resolve(__dirname, '..', 'vendor', 'languagetool'),
@@ -189,6 +269,12 @@ export async function createServer(config) {
   // This lets users run: ANTHROPIC_API_KEY=sk-ant-... mrmd-server
   importApiKeysFromEnv(settingsService);
 
+  // Who changed what: mutating file/asset/runtime/settings calls and executions
+  const auditLog = new AuditLog();
+
+  // Confine file/asset/notebook/project/browse routes to the workspace roots
+  const pathGuard = new PathGuard(resolveAllowedRoots({ allowedRoots, projectDir }));
+
   // Service context passed to all route handlers
   const context = {
     // Legacy: fixed project dir (for backwards compat, may be null)
@@ -197,6 +283,7 @@ export async function createServer(config) {
     pythonPort,
     aiPort,
     eventBus,
+    presence,
 
     // Services
     projectService,
@@ -204,9 +291,13 @@ export async function createServer(config) {
     fileService,
     assetService,
     settingsService,
+    secretStore,
     runtimePreferencesService,
     languageToolService,
     languageToolPreferencesService,
+    userStore,
+    pathGuard,
+    auditLog,
 
     // Runtime tunnel (routes MRP traffic to Electron when available)
     tunnelClient,
@@ -225,20 +316,66 @@ export async function createServer(config) {
     pythonReady: false,
   };
 
+  // Stop local runtimes nobody has used for a while (cloud runtimes are
+  // managed by the cloud session service)
+  context.runtimeReaper = cloudMode && runtimePort
+    ? null
+    : new RuntimeReaper({ runtimeService, eventBus, idleTimeouts });
+
+  // Resource usage of local runtimes (GET /api/runtime/metrics, runtime:metrics)
+  context.runtimeMetrics = cloudMode && runtimePort
+    ? null
+    : new RuntimeMetrics({ runtimeService, eventBus, interval: metricsInterval });
+
+  // Scheduled notebook runs (started with the server)
+  context.jobScheduler = new JobScheduler({
+    runtimeService,
+    ensureEffectiveRuntime: createEffectiveRuntimeResolver(context),
+    runtimeReaper: context.runtimeReaper,
+    eventBus,
+    pathGuard,
+  });
+
   // Register for sync death notifications and broadcast via WebSocket
   onSyncDeath((message) => {
-    eventBus.emit('sync-server-died', message);
+    eventBus.syncServerDied(message);
+  });
+
+  // Runtimes killed for exceeding a resource limit, crashed or restarted
+  // by their restart policy
+  runtimeService.onKilled?.((kill) => {
+    eventBus.runtimeKilled(kill);
+  });
+  runtimeService.onCrashed?.((crash) => {
+    eventBus.runtimeCrashed(crash);
+  });
+  runtimeService.onRestarted?.((restart) => {
+    context.runtimeReaper?.touch(restart.name);
+    eventBus.runtimeRestarted(restart);
   });
 
   // Middleware
+  // Cross-origin callers must authenticate with an explicit token; session
+  // cookies are never honoured cross-origin (credentials: false).
   app.use(cors({
     origin: true,
-    credentials: true,
+    credentials: false,
   }));
   app.use(express.json({ limit: '50mb' }));
+  app.use(cookieMiddleware);
+
+  // Audit before auth so denied attempts are recorded as well
+  app.use(
+    ['/api/file', '/api/asset', '/api/runtime', '/api/settings', '/api/notebook/run', '/api/jobs'],
+    auditLog.middleware({ projectDir: context.projectDir }),
+  );
 
   // Auth middleware (skip for static files and health check)
-  const authMiddleware = createAuthMiddleware(token, noAuth);
+  const authMiddleware = createAuthMiddleware(userStore, noAuth, {
+    projectDir: context.projectDir,
+    sessions,
+    throttle: authThrottle,
+  });
   app.use('/api', authMiddleware);
 
   // Health check (no auth)
@@ -246,11 +383,84 @@ export async function createServer(config) {
     res.json({ status: 'ok', version: '0.1.0' });
   });
 
-  // Token info endpoint (no auth - used to validate tokens)
+  /**
+   * Start a browser session and set its cookies
+   */
+  function startSession(req, res, identity) {
+    const session = sessions.create(identity);
+    const cookieOptions = { path: cookiePath, maxAge: sessions.maxAge(session), secure: req.secure };
+    res.setHeader('Set-Cookie', [
+      serializeCookie(SESSION_COOKIE, session.id, { ...cookieOptions, httpOnly: true }),
+      serializeCookie(CSRF_COOKIE, session.csrfToken, cookieOptions),
+    ]);
+    console.log(`[auth] Session started for ${identity.id}`);
+    return session;
+  }
+
+  // Login page (no auth)
+  app.get('/login', (req, res) => {
+    res.sendFile(path.join(__dirname, '../static/login.html'));
+  });
+
+  // Exchange a token or user password for a session cookie
+  app.post('/auth/login', (req, res) => {
+    const { token: providedToken, username, password } = req.body || {};
+
+    const ip = authThrottle.ipOf(req);
+    const lockedFor = authThrottle.lockedFor(ip);
+    if (lockedFor) {
+      return sendTooManyRequests(res, lockedFor, 'Too many failed login attempts');
+    }
+
+    let identity = null;
+    if (providedToken) {
+      identity = userStore.resolve(providedToken);
+    } else if (username && password) {
+      identity = userStore.verifyPassword(username, password);
+    } else {
+      return res.status(400).json({ error: 'token, or username and password, required' });
+    }
+
+    if (!identity) {
+      console.warn(`[auth] Failed login${username ? ` for ${username}` : ''} from ${ip}`);
+      authThrottle.recordFailure(ip);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    startSession(req, res, identity);
+    res.json({ success: true, user: { id: identity.id, name: identity.name } });
+  });
+
+  app.post('/auth/logout', (req, res) => {
+    const session = getRequestSession(req, sessions);
+    if (session) sessions.destroy(session.id);
+    const cleared = { path: cookiePath, maxAge: 0, secure: req.secure };
+    res.setHeader('Set-Cookie', [
+      serializeCookie(SESSION_COOKIE, '', { ...cleared, httpOnly: true }),
+      serializeCookie(CSRF_COOKIE, '', cleared),
+    ]);
+    res.json({ success: true });
+  });
+
+  // Token info endpoint (no auth - used to validate tokens or the current session)
   app.get('/auth/validate', (req, res) => {
-    const providedToken = req.query.token || req.headers.authorization?.replace('Bearer ', '');
-    if (noAuth || providedToken === token) {
-      res.json({ valid: true });
+    const providedToken = extractToken(req);
+    const ip = authThrottle.ipOf(req);
+    if (providedToken && !noAuth) {
+      const lockedFor = authThrottle.lockedFor(ip);
+      if (lockedFor) {
+        return sendTooManyRequests(res, lockedFor, 'Too many failed authentication attempts');
+      }
+    }
+
+    const identity = providedToken
+      ? validateWsToken(providedToken, userStore, noAuth)
+      : (noAuth ? validateWsToken(null, userStore, noAuth) : getRequestSession(req, sessions)?.identity);
+    if (providedToken && !identity) {
+      authThrottle.recordFailure(ip);
+    }
+    if (identity) {
+      res.json({ valid: true, user: { id: identity.id, name: identity.name } });
     } else {
       res.status(401).json({ valid: false });
     }
@@ -273,6 +483,10 @@ export async function createServer(config) {
   app.use('/api/languagetool', createLanguageToolRoutes(context));
   app.use('/api/voice', createVoiceRoutes(context));
   app.use('/api/user', createUserRoutes());
+  app.use('/api/admin', createAdminRoutes(context));
+  app.use('/api/presence', createPresenceRoutes(context));
+  app.use('/api/events', createEventRoutes(context));
+  app.use('/api/jobs', createJobRoutes(context));
 
   // In cloud mode: proxy catalog + machine APIs to the sync relay
   if (cloudMode && process.env.SYNC_RELAY_URL && process.env.CLOUD_USER_ID) {
@@ -342,21 +556,88 @@ export async function createServer(config) {
   }
 
   // Proxy for localhost services (bash, pty, ai, etc.)
+
+  // Ports an admin explicitly allows in addition to mrmd's own services
+  const extraAllowedPorts = new Set([
+    ...allowedPorts,
+    ...(process.env.MRMD_ALLOWED_PORTS || '').split(','),
+  ].map((p) => parseInt(p, 10)).filter((p) => p > 0 && p < 65536));
+
+  /**
+   * Is this a port mrmd itself started (or was told about)? /proxy and /sync
+   * only forward to these, so a token can't reach unrelated local services
+   * like databases or admin panels.
+   */
+  function isServicePort(portNum) {
+    if (extraAllowedPorts.has(portNum)) return true;
+    if (portNum === runtimeService.runtimePort) return true;
+    if (runtimeService.list().some((r) => r.port === portNum)) return true;
+    if (listSyncServers().some((s) => s.port === portNum)) return true;
+    if (listNotebookSyncPorts().includes(portNum)) return true;
+    if (portNum === aiPort || getAiServer().port === portNum) return true;
+    if (languageToolService.processInfo?.port === portNum) return true;
+    return false;
+  }
+
+  /**
+   * Check a local service port against an identity's project roots.
+   * Sync servers are matched by project dir, runtimes by cwd; anything
+   * else is only reachable by unrestricted identities.
+   */
+  function isPortAllowed(identity, portNum) {
+    if (!identity?.projectRoots) return true;
+    const sync = listSyncServers().find((s) => s.port === portNum);
+    if (sync) return isPathAllowed(identity, sync.dir);
+    const runtime = runtimeService.list().find((r) => r.port === portNum);
+    if (runtime?.cwd) return isPathAllowed(identity, runtime.cwd);
+    return false;
+  }
+
+  // Proxy requests need a token too: reads for GET, `execute` for anything
+  // that can run code on the target service.
+  const proxyAuth = createAuthMiddleware(userStore, noAuth, {
+    sessions,
+    throttle: authThrottle,
+    scopeFor: (req) => (['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? 'read' : 'execute'),
+  });
+
   // Routes /proxy/:port/* to the correct host
   // Runtime port routes to runtimeHost (may be remote after CRIU migration)
   // All other ports route to 127.0.0.1 (local services like bash, pty, ai)
   // IMPORTANT: Forwards X-Api-Key-* headers for AI providers
-  app.use('/proxy/:port', async (req, res) => {
+  const proxyAudit = auditLog.middleware({
+    target: (req) => `127.0.0.1:${req.params.port}${req.path}`,
+  });
+  app.use('/proxy/:port', proxyAudit, proxyAuth, async (req, res) => {
     const { port } = req.params;
-    const targetPath = req.url; // Includes query string
+    const portInt = parseInt(port);
+
+    if (!isPortAllowed(req.user, portInt)) {
+      console.warn(`[proxy] ${req.user.id} denied port ${portInt} outside project roots`);
+      return res.status(403).json({ error: 'Port outside allowed project roots' });
+    }
+
+    // Includes query string, minus our own auth token
+    const targetUrlObj = new URL(req.url, 'http://localhost');
+    targetUrlObj.searchParams.delete('token');
+    const targetPath = targetUrlObj.pathname + targetUrlObj.search;
 
     // Route runtime HTTP traffic through tunnel when available.
-    const portInt = parseInt(port);
     const isKnownTunnelPort = tunnelClient?.isTunnelPort(portInt);
     const isRuntimePort = runtimeService.runtimePort === portInt;
     const isMrpPath = targetPath.startsWith('/mrp/');
     const shouldUseTunnel = tunnelClient?.isAvailable() &&
       (isKnownTunnelPort || (isMrpPath && !isRuntimePort && portInt !== aiPort));
+
+    // Tunnelled requests reach the provider's runtimes, not local services
+    if (!shouldUseTunnel && !isServicePort(portInt)) {
+      console.warn(`[proxy] ${req.user.id} denied port ${portInt}: not an mrmd service`);
+      return res.status(403).json({
+        error: `Port ${portInt} is not a known mrmd service port (admins can allow it with --allow-port)`,
+        code: 'EPORTNOTALLOWED',
+      });
+    }
+
     if (shouldUseTunnel) {
       try {
         await tunnelClient.httpProxy(portInt, req, res);
@@ -368,6 +649,10 @@ export async function createServer(config) {
       return;
     }
 
+    // Keeps the runtime from being reaped while the request is in flight
+    const endActivity = context.runtimeReaper?.begin(context.runtimeReaper.sessionForPort(portInt));
+    if (endActivity) res.on('close', endActivity);
+
     // Route runtime traffic to the (possibly remote) runtime host
     const host = (runtimeService.runtimeHost && parseInt(port) === runtimeService.runtimePort)
       ? runtimeService.runtimeHost : '127.0.0.1';
@@ -382,7 +667,7 @@ export async function createServer(config) {
     // Forward X-* headers (API keys, juice level, model override, etc.)
     // Note: Express lowercases header names, but HTTP headers are case-insensitive
     for (const [key, value] of Object.entries(req.headers)) {
-      if (key.toLowerCase().startsWith('x-')) {
+      if (key.toLowerCase().startsWith('x-') && !['x-token', 'x-csrf-token'].includes(key.toLowerCase())) {
         forwardHeaders[key] = value;
       }
     }
@@ -445,6 +730,35 @@ export async function createServer(config) {
     res.sendFile(path.join(__dirname, '../static/http-shim.js'));
   });
 
+  // The UI itself requires a session. A `?token=` link is exchanged for a
+  // session cookie and the token is stripped from the address bar.
+  app.get('/', (req, res, next) => {
+    if (noAuth) return next();
+
+    const linkToken = req.query.token;
+    if (linkToken) {
+      const ip = authThrottle.ipOf(req);
+      const lockedFor = authThrottle.lockedFor(ip);
+      if (lockedFor) {
+        res.set('Retry-After', String(lockedFor));
+        return res.status(429).send('Too many failed authentication attempts');
+      }
+      const identity = userStore.resolve(linkToken);
+      if (!identity) {
+        authThrottle.recordFailure(ip);
+        return res.redirect(302, 'login?error=invalid');
+      }
+      startSession(req, res, identity);
+      const params = new URLSearchParams(req.query);
+      params.delete('token');
+      const query = params.toString();
+      return res.redirect(302, './' + (query ? `?${query}` : ''));
+    }
+
+    if (getRequestSession(req, sessions)) return next();
+    res.redirect(302, 'login');
+  });
+
   // Find mrmd-electron directory for UI assets
   const electronPath = electronDir || findElectronDir(__dirname);
 
@@ -535,9 +849,10 @@ export async function createServer(config) {
         return res.status(400).json({ error: 'path query parameter required' });
       }
 
-      // Allow explicit projectRoot (needed in dynamic multi-project mode)
+      // Allow explicit projectRoot (needed in dynamic multi-project mode),
+      // as long as it is inside the workspace roots.
       // Fallback to server projectDir, then process.cwd()
-      const baseDir = path.resolve(req.query.projectRoot || projectDir || process.cwd());
+      const baseDir = pathGuard.check(req.query.projectRoot || projectDir || process.cwd());
 
       // Resolve from base directory, prevent path traversal
       const resolved = path.resolve(baseDir, relPath);
@@ -545,6 +860,7 @@ export async function createServer(config) {
       if (resolved !== baseDir && !resolved.startsWith(basePrefix)) {
         return res.status(403).json({ error: 'Path traversal not allowed' });
       }
+      pathGuard.check(resolved);
 
       if (!existsSync(resolved)) {
         return res.status(404).json({ error: 'File not found' });
@@ -553,23 +869,70 @@ export async function createServer(config) {
       res.sendFile(resolved);
     } catch (err) {
       console.error('[project-file]', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   });
 
   // WebSocket for push events (noServer to avoid duplicate upgrade handlers)
   const wss = new WebSocketServer({ noServer: true });
-  setupWebSocket(wss, eventBus, token, noAuth);
+  setupWebSocket(wss, eventBus, userStore, noAuth, sessions, presence);
 
   // WebSocket proxy for sync connections (remote browsers can't reach localhost)
   const syncWss = new WebSocketServer({ noServer: true });
 
+  // Proxied sockets are disconnected when their token is revoked/expires
+  const syncClients = new Set();
+  const stopWatchingSyncClients = watchTokenLifecycle(userStore, syncClients, 'sync-proxy');
+  const trackSyncClient = (clientWs, identity) => {
+    clientWs.user = identity;
+    syncClients.add(clientWs);
+    clientWs.on('close', () => syncClients.delete(clientWs));
+  };
+
+  /**
+   * Refuse a WebSocket upgrade with a plain HTTP status line
+   */
+  function rejectUpgrade(socket, status, reason, message = '', headers = {}) {
+    const headerLines = Object.entries(headers).map(([name, value]) => `${name}: ${value}\r\n`).join('');
+    const body = message ? `Content-Type: text/plain\r\nContent-Length: ${Buffer.byteLength(message)}\r\n\r\n${message}` : '\r\n';
+    socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n${headerLines}${body}`);
+    socket.destroy();
+  }
+
+  /**
+   * Authenticate an upgrade, rejecting it (401/429) on failure
+   * @returns {Object|null} Identity, or null if the socket was rejected
+   */
+  function authenticateOrReject(request, socket, tag) {
+    const result = authenticateUpgrade(request, { userStore, noAuth, sessions, throttle: authThrottle });
+    if (result.identity) return result.identity;
+
+    console.warn(`[${tag}] Rejected upgrade (${result.status}): ${request.url.split('?')[0]}`);
+    rejectUpgrade(socket, result.status, result.reason, '',
+      result.retryAfter ? { 'Retry-After': result.retryAfter } : {});
+    return null;
+  }
+
+  /**
+   * Detect y-websocket messages that modify a document: messageSync (0)
+   * carrying sync step 2 (1) or an update (2). Step 1 (state vector
+   * requests) and awareness messages are harmless for read-only clients.
+   */
+  function isYjsWrite(data, isBinary) {
+    if (!isBinary) return false;
+    const bytes = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    return bytes.length >= 2 && bytes[0] === 0 && (bytes[1] === 1 || bytes[1] === 2);
+  }
+
   // Single upgrade handler for all WebSocket connections
   server.on('upgrade', (request, socket, head) => {
     const url = new URL(request.url, 'http://localhost');
 
     // Handle /events normally
     if (url.pathname === '/events') {
+      const identity = authenticateOrReject(request, socket, 'WS');
+      if (!identity) return;
+      request.user = identity;
       wss.handleUpgrade(request, socket, head, (ws) => {
         wss.emit('connection', ws, request);
       });
@@ -581,16 +944,54 @@ export async function createServer(config) {
     if (syncMatch) {
       const [, syncPort, pathPart] = syncMatch;
 
+      const identity = authenticateOrReject(request, socket, 'sync-proxy');
+      if (!identity) return;
+
+      // Runtime sockets (PTY/MRP) run code; document sockets only need read
+      const portNum = parseInt(syncPort);
+      const isRuntimeWsPath = pathPart.startsWith('api/pty') || pathPart.startsWith('mrp/');
+      if (isRuntimeWsPath && !hasScope(identity, 'execute')) {
+        console.warn(`[sync-proxy] ${identity.id} lacks "execute" scope for ${url.pathname}`);
+        rejectUpgrade(socket, 403, 'Forbidden');
+        return;
+      }
+      if (!isPortAllowed(identity, portNum)) {
+        console.warn(`[sync-proxy] ${identity.id} denied port ${portNum} outside project roots`);
+        rejectUpgrade(socket, 403, 'Forbidden');
+        return;
+      }
+      const readOnly = !hasScope(identity, 'write');
+
+      // Our own auth token must not leak to the upstream service
+      url.searchParams.delete('token');
+
       // Route runtime WebSocket traffic (PTY/MRP) through tunnel when available.
       // IMPORTANT: Do NOT tunnel document sync sockets (e.g. /sync/36433/02-term).
-      const portNum = parseInt(syncPort);
       const tunnelAvail = tunnelClient?.isAvailable();
       const isKnownTunnel = tunnelClient?.isTunnelPort(portNum);
-      const isRuntimeWsPath = pathPart.startsWith('api/pty') || pathPart.startsWith('mrp/');
       const shouldTunnel = tunnelAvail && (isKnownTunnel || isRuntimeWsPath);
+      if (!shouldTunnel && !isServicePort(portNum)) {
+        console.warn(`[sync-proxy] ${identity.id} denied port ${portNum}: not an mrmd service`);
+        rejectUpgrade(socket, 403, 'Forbidden',
+          `Port ${portNum} is not a known mrmd service port (admins can allow it with --allow-port)`);
+        return;
+      }
+      if (isRuntimeWsPath) {
+        auditLog.record({
+          user: identity.id,
+          tokenId: identity.tokenId,
+          ip: request.socket.remoteAddress,
+          method: 'WS',
+          route: url.pathname,
+          target: `127.0.0.1:${portNum}/${pathPart}`,
+          status: 101,
+          result: 'ok',
+        });
+      }
       if (shouldTunnel) {
         console.log(`[sync-ws] Routing runtime WS port ${portNum} through tunnel: ${pathPart}`);
         syncWss.handleUpgrade(request, socket, head, (clientWs) => {
+          trackSyncClient(clientWs, identity);
           tunnelClient.wsProxy(portNum, `${pathPart}${url.search}`, clientWs);
         });
         return;
@@ -599,16 +1000,30 @@ export async function createServer(config) {
       // Preserve query string for PTY sessions
       const targetUrl = `ws://127.0.0.1:${syncPort}/${pathPart}${url.search}`;
 
+      // Runtime socket traffic counts as activity for the idle reaper, and
+      // an open socket keeps the session busy (a long execution may be silent)
+      const runtimeSession = isRuntimeWsPath ? context.runtimeReaper?.sessionForPort(portNum) : null;
+      const touchRuntime = () => {
+        if (runtimeSession) context.runtimeReaper.touch(runtimeSession);
+      };
+
       // Create connection to local sync server
       const upstream = new WsClient(targetUrl);
 
       upstream.on('open', () => {
         syncWss.handleUpgrade(request, socket, head, (clientWs) => {
+          trackSyncClient(clientWs, identity);
+          const endActivity = context.runtimeReaper?.begin(runtimeSession);
+          clientWs.on('close', () => endActivity?.());
           // Bidirectional proxy - preserve message type (binary/text)
           clientWs.on('message', (data, isBinary) => {
+            // Read-only clients may receive document state but not change it
+            if (readOnly && isYjsWrite(data, isBinary)) return;
+            touchRuntime();
             upstream.send(data, { binary: isBinary });
           });
           upstream.on('message', (data, isBinary) => {
+            touchRuntime();
             clientWs.send(data, { binary: isBinary });
           });
           clientWs.on('close', () => upstream.close());
@@ -634,31 +1049,44 @@ export async function createServer(config) {
     server,
     context,
     eventBus,
-    token,
+    userStore,
     electronPath,
 
+    /** Current primary token (changes when rotated) */
+    get token() {
+      return userStore.primaryToken;
+    },
+
     /**
      * Start the server
      */
     async start() {
       return new Promise((resolve) => {
         server.listen(port, host, () => {
-          const url = `http://${host === '0.0.0.0' ? 'localhost' : host}:${port}`;
+          const url = `${tls ? 'https' : 'http'}://${host === '0.0.0.0' ? 'localhost' : host}:${port}`;
           console.log('');
           console.log('\x1b[36m  mrmd-server\x1b[0m');
           console.log('  ' + '─'.repeat(50));
           console.log(`  Server:     ${url}`);
           console.log(`  Project:    ${context.projectDir}`);
+          console.log(`  Roots:      ${pathGuard.roots.join(', ')}`);
+          if (tls) {
+            console.log(`  TLS:        ${tls.certPath}${tls.selfSigned ? ' (self-signed)' : ''}`);
+          }
           if (electronPath) {
             console.log(`  UI:         ${electronPath}`);
           }
           if (!noAuth) {
             console.log(`  Token:      ${token}`);
+            console.log(`  Login:      ${url}/login`);
             console.log('');
             console.log(`  \x1b[33mAccess URL:\x1b[0m`);
             console.log(`  ${url}?token=${token}`);
           }
           console.log('');
+          context.runtimeReaper?.start();
+          context.runtimeMetrics?.start();
+          context.jobScheduler.start();
           resolve({ url, token });
         });
       });
@@ -673,6 +1101,14 @@ export async function createServer(config) {
         await watcher.close();
       }
 
+      auditLog.close();
+      authThrottle.stop();
+      sessions.stop();
+      userStore.flush();
+      context.jobScheduler.stop();
+      context.runtimeReaper?.stop();
+      context.runtimeMetrics?.stop();
+
       // Stop all sync servers
       stopAllSyncServers();
 
@@ -708,7 +1144,9 @@ export async function createServer(config) {
       }
 
       // Close WebSocket connections
+      stopWatchingSyncClients();
       wss.clients.forEach(client => client.close());
+      syncWss.clients.forEach(client => client.close());
 
       // Close server
       return new Promise((resolve) => {
@@ -818,8 +1256,7 @@ function transformIndexHtml(html, host, port) {
           : resolvedPath;
         const fileUrl = (window.MRMD_SERVER_URL || window.location.origin)
           + '/api/project-file?path=' + encodeURIComponent(relativePath)
-          + (projectRoot ? '&projectRoot=' + encodeURIComponent(projectRoot) : '')
-          + (window.MRMD_TOKEN ? '&token=' + window.MRMD_TOKEN : '');`
+          + (projectRoot ? '&projectRoot=' + encodeURIComponent(projectRoot) : '');`
   );
 
   // 6. Inject user account UI in cloud mode
@@ -0,0 +1,195 @@
+/**
+ * SessionStore — browser sessions backed by an HttpOnly cookie
+ *
+ * The login page exchanges a token (or a user's password) for a session.
+ * The browser then authenticates with the `mrmd_session` cookie instead of
+ * carrying `?token=` in every URL, where it would leak into history and
+ * Referer headers.
+ *
+ * Because cookies are sent automatically, mutating requests authenticated
+ * by a session must also present the session's CSRF token in the
+ * X-CSRF-Token header. The CSRF token is mirrored in the readable
+ * `mrmd_csrf` cookie so the http-shim can pick it up.
+ *
+ * Sessions live in memory: restarting the server logs everyone out.
+ */
+
+import crypto from 'crypto';
+
+export const SESSION_COOKIE = 'mrmd_session';
+export const CSRF_COOKIE = 'mrmd_csrf';
+export const CSRF_HEADER = 'x-csrf-token';
+
+/** Absolute session lifetime */
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000;
+
+/** How often expired sessions are dropped */
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Parse a Cookie header into an object
+ * @param {string} [header]
+ * @returns {Object<string, string>}
+ */
+export function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+
+  for (const part of header.split(';')) {
+    const eq = part.indexOf('=');
+    if (eq === -1) continue;
+    const name = part.slice(0, eq).trim();
+    if (!name || name in cookies) continue;
+    const value = part.slice(eq + 1).trim().replace(/^"(.*)"$/, '$1');
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch {
+      cookies[name] = value;
+    }
+  }
+
+  return cookies;
+}
+
+/**
+ * Express middleware populating req.cookies (no cookie-parser dependency)
+ */
+export function cookieMiddleware(req, res, next) {
+  req.cookies = parseCookies(req.headers.cookie);
+  next();
+}
+
+/**
+ * Build a Set-Cookie header value
+ * @param {string} name
+ * @param {string} value
+ * @param {Object} [options]
+ * @param {string} [options.path]
+ * @param {number} [options.maxAge] - Seconds (0 clears the cookie)
+ * @param {boolean} [options.httpOnly]
+ * @param {boolean} [options.secure]
+ * @param {'Strict'|'Lax'|'None'} [options.sameSite]
+ * @returns {string}
+ */
+export function serializeCookie(name, value, {
+  path = '/',
+  maxAge,
+  httpOnly = false,
+  secure = false,
+  sameSite = 'Lax',
+} = {}) {
+  const parts = [`${name}=${encodeURIComponent(value)}`, `Path=${path}`, `SameSite=${sameSite}`];
+  if (maxAge !== undefined) parts.push(`Max-Age=${Math.floor(maxAge)}`);
+  if (httpOnly) parts.push('HttpOnly');
+  if (secure) parts.push('Secure');
+  return parts.join('; ');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+export class SessionStore {
+  /**
+   * @param {import('./user-store.js').UserStore} userStore - Used to drop
+   *   sessions whose underlying token is revoked, rotated or expired
+   */
+  constructor(userStore) {
+    this.userStore = userStore;
+    /** @type {Map<string, { id: string, csrfToken: string, identity: Object, createdAt: number, expiresAt: number }>} */
+    this.sessions = new Map();
+
+    userStore.on('revoked', ({ tokenIds }) => {
+      for (const [id, session] of this.sessions) {
+        if (tokenIds.includes(session.identity.tokenId)) {
+          this.sessions.delete(id);
+        }
+      }
+    });
+
+    this.pruneInterval = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+    this.pruneInterval.unref?.();
+  }
+
+  /**
+   * Start a session for an authenticated identity
+   * @param {Object} identity
+   * @returns {Object} The session (id and csrfToken go into cookies)
+   */
+  create(identity) {
+    const now = Date.now();
+    const tokenExpiry = identity.expiresAt ? Date.parse(identity.expiresAt) : Infinity;
+    const session = {
+      id: crypto.randomBytes(32).toString('base64url'),
+      csrfToken: crypto.randomBytes(24).toString('base64url'),
+      identity,
+      createdAt: now,
+      expiresAt: Math.min(now + SESSION_TTL, tokenExpiry),
+    };
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  /**
+   * Look up a live session
+   * @param {string} [sessionId]
+   * @returns {Object|null}
+   */
+  get(sessionId) {
+    if (!sessionId) return null;
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+
+    if (session.expiresAt <= Date.now() || !this.userStore.isActive(session.identity)) {
+      this.sessions.delete(sessionId);
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * @param {string} sessionId
+   */
+  destroy(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  /**
+   * Drop sessions that expired or whose token is no longer active
+   */
+  prune() {
+    const now = Date.now();
+    for (const [id, session] of this.sessions) {
+      if (session.expiresAt <= now || !this.userStore.isActive(session.identity)) {
+        this.sessions.delete(id);
+      }
+    }
+  }
+
+  stop() {
+    clearInterval(this.pruneInterval);
+  }
+
+  /**
+   * Check a request's CSRF header against its session
+   * @param {Object} session
+   * @param {import('http').IncomingMessage} req
+   * @returns {boolean}
+   */
+  checkCsrf(session, req) {
+    const provided = req.headers?.[CSRF_HEADER];
+    return typeof provided === 'string' && safeEqual(provided, session.csrfToken);
+  }
+
+  /**
+   * Remaining lifetime in seconds (for cookie Max-Age)
+   * @param {Object} session
+   * @returns {number}
+   */
+  maxAge(session) {
+    return Math.max(0, (session.expiresAt - Date.now()) / 1000);
+  }
+}
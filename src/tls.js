@@ -0,0 +1,135 @@
+/**
+ * TLS — certificates for serving HTTPS/WSS directly
+ *
+ * Either a certificate/key pair is supplied (--tls-cert/--tls-key), or a
+ * self-signed certificate is generated with the `openssl` CLI and cached in
+ * CONFIG_DIR/tls (--tls-self-signed). The cached certificate is reused
+ * across restarts, so browsers only need to accept it once, and is
+ * regenerated when it is about to expire or no longer covers the host.
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CONFIG_DIR } from './vendor/config.js';
+
+const execFileAsync = promisify(execFile);
+
+export const TLS_DIR = path.join(CONFIG_DIR, 'tls');
+const SELF_SIGNED_CERT = path.join(TLS_DIR, 'cert.pem');
+const SELF_SIGNED_KEY = path.join(TLS_DIR, 'key.pem');
+
+/** Self-signed certificate lifetime */
+const SELF_SIGNED_DAYS = 365;
+
+/** Regenerate a cached certificate this close to expiry */
+const RENEW_BEFORE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Names the self-signed certificate should cover
+ * @param {string} [host] - Bind host
+ * @returns {string[]} subjectAltName entries (e.g. "DNS:localhost")
+ */
+function subjectAltNames(host) {
+  const names = new Set(['DNS:localhost', 'IP:127.0.0.1', 'IP:::1', `DNS:${os.hostname()}`]);
+  if (host && host !== '0.0.0.0' && host !== '::') {
+    names.add(/^[\d.]+$|:/.test(host) ? `IP:${host}` : `DNS:${host}`);
+  }
+  return [...names];
+}
+
+/**
+ * Whether a cached certificate can be reused
+ * @param {string[]} altNames
+ * @returns {boolean}
+ */
+function isCachedCertUsable(altNames) {
+  try {
+    const cert = new crypto.X509Certificate(fs.readFileSync(SELF_SIGNED_CERT));
+    if (!fs.existsSync(SELF_SIGNED_KEY)) return false;
+    if (Date.parse(cert.validTo) - Date.now() < RENEW_BEFORE_MS) return false;
+
+    // Node prints "IP Address:" and expands IPv6, so only compare DNS names
+    // and IPv4 addresses
+    const covered = (cert.subjectAltName || '').replace(/IP Address:/g, 'IP:').split(', ');
+    return altNames
+      .filter((name) => !name.includes('::'))
+      .every((name) => covered.includes(name));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Generate (or reuse) the cached self-signed certificate
+ * @param {string} [host] - Bind host, added to the certificate's names
+ * @returns {Promise<{ cert: Buffer, key: Buffer, certPath: string, selfSigned: true }>}
+ */
+export async function ensureSelfSignedCert(host) {
+  const altNames = subjectAltNames(host);
+
+  if (!isCachedCertUsable(altNames)) {
+    fs.mkdirSync(TLS_DIR, { recursive: true, mode: 0o700 });
+    console.log(`[tls] Generating self-signed certificate in ${TLS_DIR}`);
+
+    try {
+      await execFileAsync('openssl', [
+        'req', '-x509',
+        '-newkey', 'rsa:2048',
+        '-nodes',
+        '-sha256',
+        '-days', String(SELF_SIGNED_DAYS),
+        '-subj', '/CN=mrmd-server',
+        '-addext', `subjectAltName=${altNames.join(',')}`,
+        '-keyout', SELF_SIGNED_KEY,
+        '-out', SELF_SIGNED_CERT,
+      ]);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        throw new Error('--tls-self-signed requires the openssl CLI on PATH (or pass --tls-cert/--tls-key)');
+      }
+      throw new Error(`Failed to generate self-signed certificate: ${err.stderr?.trim() || err.message}`);
+    }
+    fs.chmodSync(SELF_SIGNED_KEY, 0o600);
+  }
+
+  return {
+    cert: fs.readFileSync(SELF_SIGNED_CERT),
+    key: fs.readFileSync(SELF_SIGNED_KEY),
+    certPath: SELF_SIGNED_CERT,
+    selfSigned: true,
+  };
+}
+
+/**
+ * Work out the TLS options for a server, if any
+ * @param {Object} options
+ * @param {string} [options.tlsCert] - Path to a PEM certificate (chain)
+ * @param {string} [options.tlsKey] - Path to the matching PEM private key
+ * @param {boolean} [options.tlsSelfSigned] - Generate/cache a self-signed certificate
+ * @param {string} [options.host] - Bind host
+ * @returns {Promise<{ cert: Buffer, key: Buffer, certPath: string, selfSigned: boolean }|null>}
+ *   null when serving plain HTTP
+ */
+export async function loadTlsOptions({ tlsCert, tlsKey, tlsSelfSigned, host } = {}) {
+  if (tlsCert || tlsKey) {
+    if (!tlsCert || !tlsKey) {
+      throw new Error('--tls-cert and --tls-key must be given together');
+    }
+    return {
+      cert: fs.readFileSync(tlsCert),
+      key: fs.readFileSync(tlsKey),
+      certPath: tlsCert,
+      selfSigned: false,
+    };
+  }
+
+  if (tlsSelfSigned) {
+    return ensureSelfSignedCert(host);
+  }
+
+  return null;
+}
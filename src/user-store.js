@@ -0,0 +1,506 @@
+/**
+ * UserStore — named users and individually issued access tokens
+ *
+ * Persists to ~/.config/mrmd/users.json so that every person a server URL is
+ * shared with gets their own token, which can be revoked without affecting
+ * anyone else.
+ *
+ * Only token hashes (sha256) are written to disk. The plaintext token is
+ * returned exactly once, when it is issued.
+ *
+ * The server's primary token (from --token or auto-generated at startup) is
+ * kept in memory only and resolves to the built-in "owner" user.
+ *
+ * Each issued token carries scopes (read, write, execute, admin) and an
+ * optional list of project roots it is restricted to. Tokens may also carry
+ * an expiry; expired tokens stop resolving but stay listed until revoked.
+ *
+ * Users may also have a password (scrypt hash) for the browser login page.
+ * Password logins resolve with tokenId `pw_<userId>` and the scopes/roots
+ * stored on the user.
+ *
+ * Events:
+ *   - 'revoked' { tokenIds: string[] } — tokens revoked (or the primary
+ *     token rotated, reported as tokenId 'primary'); holders of open
+ *     sockets should be disconnected
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import { CONFIG_DIR } from './vendor/config.js';
+
+const USERS_FILE = path.join(CONFIG_DIR, 'users.json');
+
+/** Identity returned for the in-memory primary token */
+const OWNER_ID = 'owner';
+
+/**
+ * Token scopes
+ * - read:    view projects, files and notebooks (including live sync)
+ * - write:   modify files, assets and documents
+ * - execute: start runtimes and run code
+ * - admin:   manage users/tokens and server settings (implies all others)
+ */
+export const SCOPES = ['read', 'write', 'execute', 'admin'];
+
+/** Scopes given to tokens issued without an explicit list */
+const DEFAULT_SCOPES = ['read', 'write', 'execute'];
+
+/** Token lastUsedAt updates are written at most this often */
+const LAST_USED_SAVE_DELAY_MS = 60 * 1000;
+
+const EMPTY_STORE = {
+  version: 1,
+  users: {},
+  tokens: {},
+};
+
+/**
+ * Hash a token for storage/lookup
+ * @param {string} token
+ * @returns {string}
+ */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Constant-time string comparison
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Validate and normalize a scope list. Every token can at least read.
+ * @param {string[]} [scopes]
+ * @returns {string[]}
+ */
+export function normalizeScopes(scopes) {
+  if (scopes == null) return [...DEFAULT_SCOPES];
+  const list = Array.isArray(scopes) ? scopes : String(scopes).split(',');
+  const result = new Set(['read']);
+  for (const raw of list) {
+    const scope = String(raw).trim().toLowerCase();
+    if (!scope) continue;
+    if (!SCOPES.includes(scope)) {
+      throw new Error(`Unknown scope "${scope}" (expected one of: ${SCOPES.join(', ')})`);
+    }
+    result.add(scope);
+  }
+  return SCOPES.filter((scope) => result.has(scope));
+}
+
+/**
+ * Normalize a list of project roots to absolute paths (null = unrestricted)
+ * @param {string[]} [roots]
+ * @returns {string[]|null}
+ */
+function normalizeRoots(roots) {
+  if (roots == null) return null;
+  const list = (Array.isArray(roots) ? roots : [roots])
+    .filter((root) => typeof root === 'string' && root.trim() !== '')
+    .map((root) => path.resolve(root));
+  return list.length > 0 ? list : null;
+}
+
+const TTL_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a token lifetime: a number of seconds or a string like "30m", "12h", "7d"
+ * @param {number|string|null} ttl
+ * @returns {number|null} Lifetime in milliseconds, or null for no expiry
+ */
+export function parseTtl(ttl) {
+  if (ttl == null || ttl === '') return null;
+  if (typeof ttl === 'number') {
+    if (!Number.isFinite(ttl) || ttl <= 0) throw new Error(`Invalid ttl "${ttl}"`);
+    return ttl * 1000;
+  }
+  const match = String(ttl).trim().match(/^(\d+)\s*([smhd]?)$/i);
+  if (!match || Number(match[1]) <= 0) {
+    throw new Error(`Invalid ttl "${ttl}" (expected seconds or e.g. 30m, 12h, 7d)`);
+  }
+  return Number(match[1]) * TTL_UNITS[(match[2] || 's').toLowerCase()];
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+  return `scrypt:${salt}:${hash}`;
+}
+
+function verifyPasswordHash(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  return safeEqual(hashPassword(password, salt).split(':')[2], hash);
+}
+
+function passwordTokenId(userId) {
+  return `pw_${userId}`;
+}
+
+function isExpired(record, now = Date.now()) {
+  return Boolean(record.expiresAt) && Date.parse(record.expiresAt) <= now;
+}
+
+function randomId(prefix) {
+  return `${prefix}_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+function slugify(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 32);
+}
+
+export class UserStore extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.primaryToken] - In-memory token for the owner
+   * @param {string} [options.filePath] - Override users.json location
+   */
+  constructor({ primaryToken = null, filePath = USERS_FILE } = {}) {
+    super();
+    this.primaryToken = primaryToken;
+    this.filePath = filePath;
+    this._data = null;
+    this._lastUsedTimer = null;
+  }
+
+  // ── Persistence ─────────────────────────────────────────────────────────
+
+  _ensureLoaded() {
+    if (this._data) return this._data;
+
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this._data = {
+          ...EMPTY_STORE,
+          ...raw,
+          users: raw?.users || {},
+          tokens: raw?.tokens || {},
+        };
+      } else {
+        this._data = JSON.parse(JSON.stringify(EMPTY_STORE));
+      }
+    } catch (e) {
+      console.error('[users] Failed to load user store:', e.message);
+      this._data = JSON.parse(JSON.stringify(EMPTY_STORE));
+    }
+
+    return this._data;
+  }
+
+  _save() {
+    clearTimeout(this._lastUsedTimer);
+    this._lastUsedTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(this._data, null, 2), { mode: 0o600 });
+      return true;
+    } catch (e) {
+      console.error('[users] Failed to save user store:', e.message);
+      return false;
+    }
+  }
+
+  /**
+   * Save token lastUsedAt changes soon, batching the writes of busy tokens
+   */
+  _saveLastUsedSoon() {
+    if (this._lastUsedTimer) return;
+    this._lastUsedTimer = setTimeout(() => this._save(), LAST_USED_SAVE_DELAY_MS);
+    this._lastUsedTimer.unref?.();
+  }
+
+  /**
+   * Write pending lastUsedAt changes now (on shutdown)
+   */
+  flush() {
+    if (this._lastUsedTimer) this._save();
+  }
+
+  // ── Users ───────────────────────────────────────────────────────────────
+
+  /**
+   * List all users with their (non-secret) token metadata
+   * @returns {Object[]}
+   */
+  listUsers() {
+    const data = this._ensureLoaded();
+    return Object.values(data.users).map(({ passwordHash, ...user }) => ({
+      ...user,
+      hasPassword: Boolean(passwordHash),
+      tokens: this.listTokens(user.id),
+    }));
+  }
+
+  /**
+   * @param {string} userId
+   * @returns {Object|null}
+   */
+  getUser(userId) {
+    const data = this._ensureLoaded();
+    return data.users[userId] || null;
+  }
+
+  /**
+   * Create a named user
+   * @param {Object} input
+   * @param {string} input.name - Display name
+   * @param {string} [input.id] - Stable id (derived from name if omitted)
+   * @returns {Object} The created user
+   */
+  createUser({ name, id } = {}) {
+    if (!name || !String(name).trim()) {
+      throw new Error('name is required');
+    }
+
+    const data = this._ensureLoaded();
+    const userId = id || slugify(name) || randomId('user');
+    if (userId === OWNER_ID || data.users[userId]) {
+      throw new Error(`User "${userId}" already exists`);
+    }
+
+    const user = {
+      id: userId,
+      name: String(name).trim(),
+      createdAt: new Date().toISOString(),
+    };
+    data.users[userId] = user;
+    this._save();
+    return user;
+  }
+
+  /**
+   * Delete a user and revoke all of their tokens
+   * @param {string} userId
+   * @returns {boolean} True if the user existed
+   */
+  deleteUser(userId) {
+    const data = this._ensureLoaded();
+    if (!data.users[userId]) return false;
+
+    const hadPassword = Boolean(data.users[userId].passwordHash);
+    delete data.users[userId];
+    const tokenIds = hadPassword ? [passwordTokenId(userId)] : [];
+    for (const [tokenId, record] of Object.entries(data.tokens)) {
+      if (record.userId === userId) {
+        delete data.tokens[tokenId];
+        tokenIds.push(tokenId);
+      }
+    }
+    this._save();
+    if (tokenIds.length > 0) this.emit('revoked', { tokenIds });
+    return true;
+  }
+
+  /**
+   * Set (or clear) a user's login password. Existing password sessions end.
+   * @param {string} userId
+   * @param {string|null} password - null removes password login
+   * @param {Object} [options]
+   * @param {string[]} [options.scopes] - Scopes for password logins
+   * @param {string[]} [options.projectRoots] - Roots for password logins
+   */
+  setPassword(userId, password, { scopes, projectRoots } = {}) {
+    const data = this._ensureLoaded();
+    const user = data.users[userId];
+    if (!user) {
+      throw new Error(`User "${userId}" not found`);
+    }
+
+    if (password == null) {
+      delete user.passwordHash;
+    } else {
+      if (String(password).length < 8) {
+        throw new Error('Password must be at least 8 characters');
+      }
+      user.passwordHash = hashPassword(password);
+      user.scopes = normalizeScopes(scopes ?? user.scopes);
+      user.projectRoots = normalizeRoots(projectRoots ?? user.projectRoots);
+    }
+    this._save();
+    this.emit('revoked', { tokenIds: [passwordTokenId(userId)] });
+  }
+
+  // ── Tokens ──────────────────────────────────────────────────────────────
+
+  /**
+   * List token metadata (never includes the hash)
+   * @param {string} [userId] - Filter by user
+   * @returns {Object[]}
+   */
+  listTokens(userId) {
+    const data = this._ensureLoaded();
+    const now = Date.now();
+    return Object.values(data.tokens)
+      .filter((record) => !userId || record.userId === userId)
+      .map(({ hash, ...meta }) => ({ ...meta, expired: isExpired(meta, now) }));
+  }
+
+  /**
+   * Issue a new token for a user
+   * @param {string} userId
+   * @param {Object} [options]
+   * @param {string} [options.label] - Human-readable label ("laptop", "CI")
+   * @param {string[]} [options.scopes] - Scopes (default: read, write, execute)
+   * @param {string[]} [options.projectRoots] - Restrict to these directories
+   * @param {number|string} [options.ttl] - Lifetime (seconds, or "30m", "12h", "7d")
+   * @returns {{ token: string, record: Object }} Plaintext token (shown once) and metadata
+   */
+  issueToken(userId, { label = '', scopes, projectRoots, ttl } = {}) {
+    const data = this._ensureLoaded();
+    if (!data.users[userId]) {
+      throw new Error(`User "${userId}" not found`);
+    }
+    const ttlMs = parseTtl(ttl);
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    const record = {
+      id: randomId('tok'),
+      userId,
+      label,
+      scopes: normalizeScopes(scopes),
+      projectRoots: normalizeRoots(projectRoots),
+      hash: hashToken(token),
+      createdAt: new Date().toISOString(),
+      expiresAt: ttlMs ? new Date(Date.now() + ttlMs).toISOString() : null,
+      lastUsedAt: null,
+    };
+    data.tokens[record.id] = record;
+    this._save();
+
+    const { hash, ...meta } = record;
+    return { token, record: meta };
+  }
+
+  /**
+   * Revoke a token by id
+   * @param {string} tokenId
+   * @returns {boolean} True if the token existed
+   */
+  revokeToken(tokenId) {
+    const data = this._ensureLoaded();
+    if (!data.tokens[tokenId]) return false;
+    delete data.tokens[tokenId];
+    this._save();
+    this.emit('revoked', { tokenIds: [tokenId] });
+    return true;
+  }
+
+  /**
+   * Replace the in-memory primary token. Anyone still holding the old one
+   * (including open sockets) loses access immediately.
+   * @param {string} [newToken] - Explicit token (generated if omitted)
+   * @returns {string} The new primary token
+   */
+  rotatePrimary(newToken) {
+    this.primaryToken = newToken || crypto.randomBytes(24).toString('base64url');
+    console.log('[users] Primary token rotated');
+    this.emit('revoked', { tokenIds: ['primary'] });
+    return this.primaryToken;
+  }
+
+  /**
+   * Check whether an identity resolved earlier is still valid
+   * (token not revoked, not expired). Used for long-lived sockets.
+   * @param {Object} identity
+   * @returns {boolean}
+   */
+  isActive(identity) {
+    if (!identity?.tokenId || identity.tokenId === 'primary') return true;
+    if (identity.tokenId === passwordTokenId(identity.id)) {
+      return Boolean(this.getUser(identity.id)?.passwordHash);
+    }
+    const record = this._ensureLoaded().tokens[identity.tokenId];
+    return Boolean(record) && !isExpired(record);
+  }
+
+  // ── Resolution ──────────────────────────────────────────────────────────
+
+  /**
+   * Resolve a presented token to an identity
+   * @param {string} token
+   * @returns {{ id: string, name: string, tokenId: string, scopes: string[], projectRoots: string[]|null, admin: boolean }|null}
+   */
+  resolve(token) {
+    if (!token) return null;
+
+    if (this.primaryToken && safeEqual(token, this.primaryToken)) {
+      return {
+        id: OWNER_ID,
+        name: 'Owner',
+        tokenId: 'primary',
+        scopes: [...SCOPES],
+        projectRoots: null,
+        expiresAt: null,
+        admin: true,
+      };
+    }
+
+    const data = this._ensureLoaded();
+    const hash = hashToken(token);
+    for (const record of Object.values(data.tokens)) {
+      if (!safeEqual(record.hash, hash)) continue;
+      if (isExpired(record)) return null;
+
+      const user = data.users[record.userId];
+      if (!user) return null;
+
+      // Tokens issued before scopes existed keep their full (non-admin) access
+      const scopes = record.scopes || [...DEFAULT_SCOPES];
+
+      record.lastUsedAt = new Date().toISOString();
+      this._saveLastUsedSoon();
+      return {
+        id: user.id,
+        name: user.name,
+        tokenId: record.id,
+        scopes,
+        projectRoots: record.projectRoots || null,
+        expiresAt: record.expiresAt || null,
+        admin: scopes.includes('admin'),
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a user's password
+   * @param {string} userId
+   * @param {string} password
+   * @returns {Object|null} Identity (same shape as resolve()), or null
+   */
+  verifyPassword(userId, password) {
+    const user = this.getUser(userId);
+    if (!user?.passwordHash || !verifyPasswordHash(password, user.passwordHash)) {
+      return null;
+    }
+
+    const scopes = user.scopes || [...DEFAULT_SCOPES];
+    return {
+      id: user.id,
+      name: user.name,
+      tokenId: passwordTokenId(user.id),
+      scopes,
+      projectRoots: user.projectRoots || null,
+      expiresAt: null,
+      admin: scopes.includes('admin'),
+    };
+  }
+}
+
+export { USERS_FILE, OWNER_ID };
@@ -2,43 +2,288 @@
  * WebSocket handler for push events
  *
  * Clients connect to /events?token=xxx and receive JSON messages:
- * { "event": "project:changed", "data": { ... } }
+ * { "event": "project:changed", "data": { ... }, "seq": 42 }
+ *
+ * To catch up after a disconnect, reconnect with
+ * /events?since=<last seq>&epoch=<epoch from "connected">. Missed events are
+ * replayed in order; if they have fallen out of the buffer (or the server
+ * restarted), a "resync-required" event is sent instead and the client
+ * should reload its state.
+ *
+ * By default a client receives every event its token may see. To narrow
+ * that down, send
+ *   { "type": "subscribe", "projectRoots": ["/abs/project"], "events": ["project:changed"] }
+ *   { "type": "unsubscribe", "projectRoots": [...], "events": [...] }
+ * Omitted lists leave that filter alone; a bare "subscribe" resets to
+ * everything and a bare "unsubscribe" to nothing. The server answers with
+ * a "subscribed" event holding the current filters. The same filters can
+ * be given up front as ?projects=a,b&events=x,y, which also applies to
+ * replayed events.
+ *
+ * Each socket is also a presence client (see presence.js). Report the open
+ * document with
+ *   { "type": "focus", "projectRoot": "/abs/project", "documentPath": "/abs/project/doc.md" }
+ * and the server answers with a "focused" event.
  */
 
-import { validateWsToken } from './auth.js';
+import path from 'path';
+import { isPathAllowed, resolveUpgradeIdentity } from './auth.js';
+import { eventMatches } from './events.js';
+
+/** How often long-lived sockets are checked for expired tokens */
+const EXPIRY_CHECK_INTERVAL = 60000;
+
+/**
+ * Disconnect sockets whose token is revoked, rotated away, or expires.
+ *
+ * Each socket in `sockets` must carry the identity it authenticated with
+ * as `ws.user`. Closed sockets are removed from the set.
+ *
+ * @param {import('./user-store.js').UserStore} userStore
+ * @param {Set<import('ws').WebSocket>} sockets
+ * @param {string} tag - Log prefix
+ * @returns {() => void} Stop watching
+ */
+export function watchTokenLifecycle(userStore, sockets, tag = 'WS') {
+  const disconnect = (ws, reason) => {
+    console.log(`[${tag}] Disconnecting ${ws.user?.id} (${reason})`);
+    sockets.delete(ws);
+    try { ws.close(4001, reason); } catch { /* ignore */ }
+  };
+
+  const onRevoked = ({ tokenIds }) => {
+    for (const ws of [...sockets]) {
+      if (ws.user?.tokenId && tokenIds.includes(ws.user.tokenId)) {
+        disconnect(ws, 'Token revoked');
+      }
+    }
+  };
+  userStore.on('revoked', onRevoked);
+
+  const expiryInterval = setInterval(() => {
+    for (const ws of [...sockets]) {
+      if (ws.user && !userStore.isActive(ws.user)) {
+        disconnect(ws, 'Token expired');
+      }
+    }
+  }, EXPIRY_CHECK_INTERVAL);
+  expiryInterval.unref?.();
+
+  return () => {
+    userStore.off('revoked', onRevoked);
+    clearInterval(expiryInterval);
+  };
+}
+
+/**
+ * Normalize a subscription list from a message or query parameter
+ * @param {any} value - Array of strings, or a comma-separated string
+ * @param {boolean} isPath - Resolve entries as absolute paths
+ * @returns {string[]}
+ */
+function parseList(value, isPath) {
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  const list = [];
+  for (const item of items) {
+    if (typeof item !== 'string' || item.trim() === '') continue;
+    if (isPath && !path.isAbsolute(item.trim())) {
+      throw new Error(`Project root must be an absolute path: ${item}`);
+    }
+    list.push(isPath ? path.resolve(item.trim()) : item.trim());
+  }
+  return list;
+}
+
+/**
+ * Apply a subscribe/unsubscribe request to a client's subscription
+ * @param {{ projectRoots: Set<string>|null, events: Set<string>|null }} subscription
+ * @param {'subscribe'|'unsubscribe'} type
+ * @param {{ projectRoots?: any, events?: any }} request
+ * @param {Object} identity - Roots outside its projectRoots are refused
+ */
+function updateSubscription(subscription, type, { projectRoots, events }, identity) {
+  const lists = {
+    projectRoots: projectRoots == null ? null : parseList(projectRoots, true),
+    events: events == null ? null : parseList(events, false),
+  };
+
+  if (type === 'subscribe') {
+    const denied = (lists.projectRoots || []).find((root) => !isPathAllowed(identity, root));
+    if (denied) {
+      throw new Error(`Token is not allowed to access ${denied}`);
+    }
+  }
+
+  if (!lists.projectRoots && !lists.events) {
+    // Bare subscribe: everything; bare unsubscribe: nothing
+    subscription.projectRoots = type === 'subscribe' ? null : new Set();
+    subscription.events = type === 'subscribe' ? null : new Set();
+    return;
+  }
+
+  for (const [key, items] of Object.entries(lists)) {
+    if (!items) continue;
+    if (type === 'subscribe') {
+      subscription[key] = new Set([...(subscription[key] || []), ...items]);
+    } else if (subscription[key]) {
+      // Unsubscribing from an unfiltered ("any") list has nothing to remove
+      for (const item of items) subscription[key].delete(item);
+    }
+  }
+}
+
+/**
+ * Subscription as sent back to the client
+ * @param {{ projectRoots: Set<string>|null, events: Set<string>|null }} subscription
+ * @returns {{ projectRoots: string[]|null, events: string[]|null }}
+ */
+export function describeSubscription(subscription) {
+  return {
+    projectRoots: subscription.projectRoots ? [...subscription.projectRoots] : null,
+    events: subscription.events ? [...subscription.events] : null,
+  };
+}
+
+/**
+ * Initial subscription from connect-time query parameters
+ * (?projects=a,b&events=x,y)
+ * @param {URLSearchParams} params
+ * @param {Object} identity
+ * @returns {{ subscription: { projectRoots: Set<string>|null, events: Set<string>|null }, error: string|null }}
+ *   Unusable filters leave the default (everything the token may see) and
+ *   report why in `error`
+ */
+export function subscriptionFromParams(params, identity) {
+  const subscription = { projectRoots: null, events: null };
+  if (!params.has('projects') && !params.has('events')) {
+    return { subscription, error: null };
+  }
+
+  try {
+    updateSubscription(subscription, 'subscribe', {
+      projectRoots: params.has('projects') ? params.getAll('projects').join(',') : null,
+      events: params.has('events') ? params.getAll('events').join(',') : null,
+    }, identity);
+    return { subscription, error: null };
+  } catch (err) {
+    return { subscription: { projectRoots: null, events: null }, error: err.message };
+  }
+}
+
+/**
+ * Replay events a reconnecting client missed, or tell it to resync
+ * @param {import('./events.js').EventBus} eventBus
+ * @param {{ user: Object, subscription: Object }} client
+ * @param {number} since - Last sequence number the client saw
+ * @param {string} [epoch]
+ * @param {(message: Object) => void} send
+ * @param {string} [tag] - Log prefix
+ */
+export function replayMissedEvents(eventBus, client, since, epoch, send, tag = 'WS') {
+  const missed = eventBus.eventsSince(since, epoch || undefined);
+  if (!missed) {
+    console.log(`[${tag}] ${client.user.id} must resync (since=${since}, seq=${eventBus.seq})`);
+    send({
+      event: 'resync-required',
+      data: { since, seq: eventBus.seq, epoch: eventBus.epoch },
+    });
+    return;
+  }
+
+  const matching = missed.filter((entry) => eventMatches(entry, client.subscription, client.user));
+  for (const { event, data, seq } of matching) {
+    send({ event, data, seq });
+  }
+  if (matching.length > 0) {
+    console.log(`[${tag}] Replayed ${matching.length} event(s) to ${client.user.id}`);
+  }
+}
 
 /**
  * Setup WebSocket server
  * @param {import('ws').WebSocketServer} wss
  * @param {import('./events.js').EventBus} eventBus
- * @param {string} validToken
+ * @param {import('./user-store.js').UserStore} userStore
  * @param {boolean} noAuth
+ * @param {import('./session-store.js').SessionStore} [sessions] - Accept browser session cookies
+ * @param {import('./presence.js').PresenceTracker} [presence] - Track connected clients
  */
-export function setupWebSocket(wss, eventBus, validToken, noAuth) {
+export function setupWebSocket(wss, eventBus, userStore, noAuth, sessions, presence) {
   // Track connected clients
   const clients = new Set();
 
   wss.on('connection', (ws, req) => {
-    // Validate token from query string
-    const url = new URL(req.url, 'http://localhost');
-    const token = url.searchParams.get('token');
+    // Identity from the upgrade handler (already authenticated and
+    // throttled there), else the token or the browser session cookie
+    const identity = req.user || resolveUpgradeIdentity(req, userStore, noAuth, sessions);
 
-    if (!validateWsToken(token, validToken, noAuth)) {
+    if (!identity) {
       ws.close(4001, 'Invalid token');
       return;
     }
 
+    ws.user = identity;
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    const { subscription, error: subscriptionError } = subscriptionFromParams(params, identity);
+    ws.subscription = subscription;
     clients.add(ws);
-    console.log(`[WS] Client connected (${clients.size} total)`);
+    console.log(`[WS] Client connected as ${identity.id} (${clients.size} total)`);
+
+    // Presence id, announced (presence:join) once the welcome is sent
+    ws.clientId = presence ? presence.createClientId() : null;
 
     // Send welcome message
     ws.send(JSON.stringify({
       event: 'connected',
-      data: { message: 'Connected to mrmd-server events' },
+      data: {
+        message: 'Connected to mrmd-server events',
+        user: { id: identity.id, name: identity.name },
+        clientId: ws.clientId,
+        seq: eventBus.seq,
+        epoch: eventBus.epoch,
+        subscription: describeSubscription(ws.subscription),
+      },
     }));
 
+    if (subscriptionError) {
+      ws.send(JSON.stringify({ event: 'error', data: { type: 'subscribe', error: subscriptionError } }));
+    }
+
+    if (params.has('since')) {
+      replayMissedEvents(eventBus, ws, Number(params.get('since')), params.get('epoch'),
+        (message) => ws.send(JSON.stringify(message)));
+    }
+    presence?.join(ws.clientId, identity);
+
+    ws.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch {
+        return;
+      }
+      if (message?.type === 'focus' && presence) {
+        try {
+          const client = presence.focus(ws.clientId, message, ws.user);
+          ws.send(JSON.stringify({ event: 'focused', data: client }));
+        } catch (err) {
+          ws.send(JSON.stringify({ event: 'error', data: { type: 'focus', error: err.message } }));
+        }
+        return;
+      }
+      if (message?.type !== 'subscribe' && message?.type !== 'unsubscribe') return;
+
+      try {
+        updateSubscription(ws.subscription, message.type, message, ws.user);
+        ws.send(JSON.stringify({ event: 'subscribed', data: describeSubscription(ws.subscription) }));
+      } catch (err) {
+        ws.send(JSON.stringify({ event: 'error', data: { type: message.type, error: err.message } }));
+      }
+    });
+
     ws.on('close', () => {
       clients.delete(ws);
+      presence?.leave(ws.clientId);
       console.log(`[WS] Client disconnected (${clients.size} total)`);
     });
 
@@ -54,11 +299,14 @@ export function setupWebSocket(wss, eventBus, validToken, noAuth) {
     });
   });
 
-  // Broadcast events to all connected clients
-  eventBus.on('broadcast', ({ event, data }) => {
-    const message = JSON.stringify({ event, data });
+  // Drop clients whose token is revoked or expires while connected
+  const stopWatching = watchTokenLifecycle(userStore, clients);
+
+  // Broadcast events to the clients subscribed to them
+  eventBus.on('broadcast', (entry) => {
+    const message = JSON.stringify({ event: entry.event, data: entry.data, seq: entry.seq });
     for (const client of clients) {
-      if (client.readyState === 1) { // OPEN
+      if (client.readyState === 1 && eventMatches(entry, client.subscription, client.user)) { // OPEN
         client.send(message);
       }
     }
@@ -79,6 +327,7 @@ export function setupWebSocket(wss, eventBus, validToken, noAuth) {
 
   wss.on('close', () => {
     clearInterval(pingInterval);
+    stopWatching();
   });
 
   return { clients };
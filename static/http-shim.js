@@ -20,6 +20,17 @@
   // Expose token globally for asset resolver patching
   window.MRMD_TOKEN = TOKEN;
 
+  // Without a token the browser is authenticated by its session cookie, and
+  // mutating requests must echo the CSRF cookie in a header
+  function csrfToken() {
+    const match = document.cookie.match(/(?:^|;\s*)mrmd_csrf=([^;]*)/);
+    return match ? decodeURIComponent(match[1]) : '';
+  }
+
+  function isMutating(method) {
+    return !['GET', 'HEAD', 'OPTIONS'].includes((method || 'GET').toUpperCase());
+  }
+
   // ==========================================================================
   // WebSocket Proxy Interceptor
   // ==========================================================================
@@ -35,6 +46,9 @@
       // Route through server proxy
       const proxyUrl = new URL(`sync/${port}/${docPath}`, BASE_URL);
       proxyUrl.protocol = proxyUrl.protocol === 'https:' ? 'wss:' : 'ws:';
+      if (TOKEN) {
+        proxyUrl.searchParams.set('token', TOKEN);
+      }
       targetUrl = proxyUrl.toString();
       console.log(`[http-shim] Proxying sync WebSocket: ${url} -> ${targetUrl}`);
     }
@@ -55,12 +69,17 @@
   window.fetch = function(input, init) {
     let url = typeof input === 'string' ? input : input.url;
 
-    // Check if this is a request to localhost service
+    // Check if this is a request to localhost service (but not to mrmd-server
+    // itself, e.g. when the UI is opened at http://localhost:8080)
     const match = url.match(/^https?:\/\/(?:127\.0\.0\.1|localhost):(\d+)\/(.*)$/);
-    if (match) {
+    const isSelf = match && new URL(url).origin === new URL(BASE_URL).origin;
+    if (match && !isSelf) {
       const [, port, path] = match;
       // Route through server proxy
       const proxyUrl = new URL(`proxy/${port}/${path}`, BASE_URL);
+      if (TOKEN) {
+        proxyUrl.searchParams.set('token', TOKEN);
+      }
       console.log(`[http-shim] Proxying fetch: ${url} -> ${proxyUrl.toString()}`);
 
       if (typeof input === 'string') {
@@ -68,6 +87,13 @@
       } else {
         input = new Request(proxyUrl.toString(), input);
       }
+
+      const method = init?.method || (typeof input === 'string' ? 'GET' : input.method);
+      if (!TOKEN && isMutating(method)) {
+        const headers = new Headers(init?.headers || (typeof input === 'string' ? undefined : input.headers));
+        headers.set('X-CSRF-Token', csrfToken());
+        init = { ...init, headers };
+      }
     }
 
     return OriginalFetch.call(window, input, init);
@@ -90,7 +116,11 @@
       headers: {
         'Content-Type': 'application/json',
       },
+      credentials: 'same-origin',
     };
+    if (!TOKEN && isMutating(method)) {
+      options.headers['X-CSRF-Token'] = csrfToken();
+    }
 
     if (body !== null) {
       options.body = JSON.stringify(body);
@@ -98,6 +128,11 @@
 
     const response = await fetch(url.toString(), options);
 
+    if (response.status === 401 && !TOKEN) {
+      // Session expired or revoked — back to the login page
+      window.location.replace(new URL('login', BASE_URL).toString());
+    }
+
     if (!response.ok) {
       const error = await response.json().catch(() => ({ error: response.statusText }));
       throw new Error(error.error || error.message || `HTTP ${response.status}`);
@@ -144,49 +179,181 @@
     'venv-found': [],
     'venv-scan-done': [],
     'project:changed': [],
+    'project-updated': [],
     'sync-server-died': [],
+    'presence:join': [],
+    'presence:leave': [],
+    'presence:focus': [],
+    'runtime:reaped': [],
+    'runtime:killed': [],
+    'runtime:metrics': [],
+    'runtime:crashed': [],
+    'runtime:restarted': [],
   };
 
   let ws = null;
   let wsReconnectTimer = null;
   let fileScanToken = 0;
 
-  function connectWebSocket() {
-    const wsUrl = new URL('events', BASE_URL);
-    wsUrl.protocol = wsUrl.protocol === 'https:' ? 'wss:' : 'ws:';
+  // Server-Sent Events fallback, used when WebSocket upgrades never get
+  // through (e.g. stripped by a proxy)
+  let eventSource = null;
+  let wsFailedAttempts = 0;
+  const WS_ATTEMPTS_BEFORE_SSE = 2;
+
+  // Last event seen, so a reconnect can replay what was missed
+  let lastEventSeq = null;
+  let eventEpoch = null;
+  let eventClientId = null;
+  let watchedProjectRoot = null;
+
+  // Projects whose events we want (watched project, venv scan dirs); empty
+  // means no filter
+  const subscribedRoots = new Set();
+
+  function subscribeProject(projectRoot) {
+    if (!projectRoot || subscribedRoots.has(projectRoot)) return;
+    subscribedRoots.add(projectRoot);
+    if (eventSource) {
+      reconnectEventStream();
+    } else if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type: 'subscribe', projectRoots: [projectRoot] }));
+    }
+  }
+
+  // Document this client has open, re-sent after every reconnect
+  let presenceFocus = null;
+
+  function sendPresenceFocus() {
+    if (!presenceFocus) return;
+    if (eventSource) {
+      if (eventClientId) {
+        POST('/api/presence/focus', { clientId: eventClientId, ...presenceFocus }).catch((err) => {
+          console.warn('[http-shim] Failed to report presence:', err.message);
+        });
+      }
+    } else if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type: 'focus', ...presenceFocus }));
+    }
+  }
+
+  function unsubscribeProject(projectRoot) {
+    if (!projectRoot || !subscribedRoots.delete(projectRoot)) return;
+    if (eventSource) {
+      reconnectEventStream();
+    } else if (ws && ws.readyState === WebSocket.OPEN) {
+      // The last root going away lifts the filter, as on a fresh connection
+      ws.send(JSON.stringify(subscribedRoots.size > 0
+        ? { type: 'unsubscribe', projectRoots: [projectRoot] }
+        : { type: 'subscribe' }));
+    }
+  }
+
+  function dispatchEvent(event, data) {
+    const handlers = eventHandlers[event];
+    if (handlers) {
+      handlers.forEach(cb => {
+        try {
+          cb(data);
+        } catch (err) {
+          console.error('[http-shim] Event handler error:', err);
+        }
+      });
+    }
+  }
+
+  /**
+   * URL for /events or the SSE stream, carrying token, replay position and
+   * project filter
+   */
+  function eventsUrl(path) {
+    const url = new URL(path, BASE_URL);
     if (TOKEN) {
-      wsUrl.searchParams.set('token', TOKEN);
+      url.searchParams.set('token', TOKEN);
     }
+    if (lastEventSeq !== null) {
+      url.searchParams.set('since', String(lastEventSeq));
+      url.searchParams.set('epoch', eventEpoch);
+    }
+    if (subscribedRoots.size > 0) {
+      url.searchParams.set('projects', [...subscribedRoots].join(','));
+    }
+    return url;
+  }
+
+  /**
+   * Handle a message from either transport ({ event, data, seq })
+   */
+  function handleEventMessage(raw) {
+    try {
+      const { event, data, seq } = JSON.parse(raw);
+      if (typeof seq === 'number') {
+        lastEventSeq = seq;
+      }
+
+      if (event === 'connected') {
+        eventEpoch = data.epoch;
+        eventClientId = data.clientId || null;
+        if (lastEventSeq === null) {
+          lastEventSeq = data.seq;
+        }
+        sendPresenceFocus();
+        return;
+      }
+
+      if (event === 'resync-required') {
+        // Missed too much (or the server restarted): reload project state
+        console.log('[http-shim] Event gap too large, resyncing');
+        lastEventSeq = data.seq;
+        eventEpoch = data.epoch;
+        if (watchedProjectRoot) {
+          dispatchEvent('project:changed', { projectRoot: watchedProjectRoot });
+        }
+        return;
+      }
+
+      if (event === 'error') {
+        console.warn('[http-shim] Event subscription error:', data.error);
+        return;
+      }
+
+      dispatchEvent(event, data);
+
+      // Documents seeded from the cloud relay: refresh the nav tree too
+      if (event === 'project-updated') {
+        dispatchEvent('project:changed', { projectRoot: data.projectDir });
+      }
+    } catch (err) {
+      console.error('[http-shim] Event message error:', err);
+    }
+  }
+
+  function connectWebSocket() {
+    const wsUrl = eventsUrl('events');
+    wsUrl.protocol = wsUrl.protocol === 'https:' ? 'wss:' : 'ws:';
 
     ws = new WebSocket(wsUrl.toString());
+    let opened = false;
 
     ws.onopen = () => {
       console.log('[http-shim] WebSocket connected');
+      opened = true;
+      wsFailedAttempts = 0;
       if (wsReconnectTimer) {
         clearTimeout(wsReconnectTimer);
         wsReconnectTimer = null;
       }
     };
 
-    ws.onmessage = (e) => {
-      try {
-        const { event, data } = JSON.parse(e.data);
-        const handlers = eventHandlers[event];
-        if (handlers) {
-          handlers.forEach(cb => {
-            try {
-              cb(data);
-            } catch (err) {
-              console.error('[http-shim] Event handler error:', err);
-            }
-          });
-        }
-      } catch (err) {
-        console.error('[http-shim] WebSocket message error:', err);
-      }
-    };
+    ws.onmessage = (e) => handleEventMessage(e.data);
 
     ws.onclose = () => {
+      ws = null;
+      if (!opened && ++wsFailedAttempts >= WS_ATTEMPTS_BEFORE_SSE && typeof EventSource !== 'undefined') {
+        console.log('[http-shim] WebSocket unavailable, falling back to Server-Sent Events');
+        connectEventStream();
+        return;
+      }
       console.log('[http-shim] WebSocket disconnected, reconnecting in 2s...');
       wsReconnectTimer = setTimeout(connectWebSocket, 2000);
     };
@@ -196,7 +363,37 @@
     };
   }
 
-  // Connect WebSocket on load
+  function connectEventStream() {
+    eventSource = new EventSource(eventsUrl('api/events/stream').toString());
+
+    eventSource.onopen = () => {
+      console.log('[http-shim] Event stream connected');
+    };
+
+    eventSource.onmessage = (e) => handleEventMessage(e.data);
+
+    eventSource.onerror = () => {
+      // EventSource retries by itself (replaying via Last-Event-ID) unless
+      // the server refused the stream outright
+      if (eventSource.readyState === EventSource.CLOSED) {
+        console.log('[http-shim] Event stream closed, reconnecting in 2s...');
+        wsReconnectTimer = setTimeout(reconnectEventStream, 2000);
+      }
+    };
+  }
+
+  /**
+   * Reopen the event stream, e.g. with a new project filter (SSE can't
+   * change its subscription in place)
+   */
+  function reconnectEventStream() {
+    if (eventSource) {
+      eventSource.close();
+    }
+    connectEventStream();
+  }
+
+  // Connect on load (WebSocket, falling back to Server-Sent Events)
   connectWebSocket();
 
   // ==========================================================================
@@ -329,7 +526,13 @@
     // Venv discovery
     // ========================================================================
 
-    discoverVenvs: (projectDir) => POST('/api/system/discover-venvs', { projectDir }),
+    discoverVenvs: (projectDir) => {
+      subscribeProject(projectDir);
+      return POST('/api/system/discover-venvs', { projectDir }).then((result) => {
+        if (!projectDir) subscribeProject(result?.searchDir);
+        return result;
+      });
+    },
 
     onVenvFound: (callback) => {
       eventHandlers['venv-found'].push(callback);
@@ -391,6 +594,9 @@
           console.warn('[http-shim] Failed to update recent file:', err.message);
         }
 
+        presenceFocus = { projectRoot: projectDir, documentPath: filePath };
+        sendPresenceFocus();
+
         const fileName = basenameFromPath(filePath);
         const docName = stripDocExtension(fileName);
 
@@ -435,16 +641,54 @@
       invalidate: (projectRoot) =>
         POST('/api/project/invalidate', { projectRoot }),
 
-      watch: (projectRoot) =>
-        POST('/api/project/watch', { projectRoot }),
+      watch: (projectRoot) => {
+        if (watchedProjectRoot !== projectRoot) unsubscribeProject(watchedProjectRoot);
+        watchedProjectRoot = projectRoot;
+        subscribeProject(projectRoot);
+        return POST('/api/project/watch', { projectRoot });
+      },
 
-      unwatch: () =>
-        POST('/api/project/unwatch', {}),
+      unwatch: () => {
+        unsubscribeProject(watchedProjectRoot);
+        watchedProjectRoot = null;
+        return POST('/api/project/unwatch', {});
+      },
 
       onChanged: (callback) => {
         // Remove existing handlers to prevent duplicates (matches Electron behavior)
         eventHandlers['project:changed'] = [callback];
       },
+
+      onUpdated: (callback) => {
+        eventHandlers['project-updated'].push(callback);
+      },
+    },
+
+    // ========================================================================
+    // PRESENCE (who else is connected, and what they have open)
+    // ========================================================================
+
+    presence: {
+      list: (projectRoot) =>
+        GET(`/api/presence${projectRoot ? `?projectRoot=${encodeURIComponent(projectRoot)}` : ''}`)
+          .then(r => r.clients),
+
+      focus: (projectRoot, documentPath) => {
+        presenceFocus = { projectRoot: projectRoot || null, documentPath: documentPath || null };
+        sendPresenceFocus();
+      },
+
+      onJoin: (callback) => {
+        eventHandlers['presence:join'].push(callback);
+      },
+
+      onLeave: (callback) => {
+        eventHandlers['presence:leave'].push(callback);
+      },
+
+      onFocus: (callback) => {
+        eventHandlers['presence:focus'].push(callback);
+      },
     },
 
     // ========================================================================
@@ -469,6 +713,59 @@
       isAvailable: (language) => GET(`/api/runtime/available/${encodeURIComponent(language)}`),
 
       languages: () => GET('/api/runtime/languages'),
+
+      languageDetails: () => GET('/api/runtime/languages?detail=1'),
+
+      setKeepAlive: (documentPath, language, keepAlive, scope = 'notebook') =>
+        POST('/api/runtime/keep-alive', { documentPath, language, keepAlive, scope }),
+
+      onReaped: (callback) => {
+        eventHandlers['runtime:reaped'].push(callback);
+      },
+
+      logs: (sessionName, lines = 200) =>
+        GET(`/api/runtime/${encodeURIComponent(sessionName)}/logs?lines=${lines}`),
+
+      recentKills: (name) => GET(`/api/runtime/killed${name ? `?name=${encodeURIComponent(name)}` : ''}`),
+
+      onKilled: (callback) => {
+        eventHandlers['runtime:killed'].push(callback);
+      },
+
+      metrics: (sessionName) => GET(sessionName
+        ? `/api/runtime/${encodeURIComponent(sessionName)}/metrics`
+        : '/api/runtime/metrics'),
+
+      onMetrics: (callback) => {
+        eventHandlers['runtime:metrics'].push(callback);
+      },
+
+      onCrashed: (callback) => {
+        eventHandlers['runtime:crashed'].push(callback);
+      },
+
+      onRestarted: (callback) => {
+        eventHandlers['runtime:restarted'].push(callback);
+      },
+
+      // Environment variables per scope ('global' | 'project' | 'notebook');
+      // secret values can be set but are never returned
+      listEnv: ({ documentPath, projectRoot } = {}) => {
+        const params = new URLSearchParams();
+        if (documentPath) params.set('documentPath', documentPath);
+        if (projectRoot) params.set('projectRoot', projectRoot);
+        return GET(`/api/runtime/env?${params.toString()}`);
+      },
+
+      setEnv: (scope, name, value, { secret = false, documentPath, projectRoot } = {}) =>
+        apiCall('PUT', `/api/runtime/env/${encodeURIComponent(scope)}`, { name, value, secret, documentPath, projectRoot }),
+
+      deleteEnv: (scope, name, { documentPath, projectRoot } = {}) => {
+        const params = new URLSearchParams();
+        if (documentPath) params.set('documentPath', documentPath);
+        if (projectRoot) params.set('projectRoot', projectRoot);
+        return DELETE(`/api/runtime/env/${encodeURIComponent(scope)}/${encodeURIComponent(name)}?${params.toString()}`);
+      },
     },
 
     // ========================================================================